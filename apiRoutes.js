@@ -0,0 +1,211 @@
+import express from 'express';
+import { searchStation, getTrainsBetweenStations, getTrainSchedule, getLiveTrainStatus, checkSeatAvailability, getPNRStatus } from './irctcService.js';
+import { searchFlights, getFlightDeals, listFlights } from './flightService.js';
+import { getStationBoard, BOARD_HOURS, BOARD_SHOW } from './stationBoard.js';
+import { createError, httpStatusFor } from './errors.js';
+import { liveness, readiness } from './health.js';
+import { config } from './config.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('api');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// `code` is the service error code (VALIDATION_ERROR, UPSTREAM_TIMEOUT, ...) when there is one
+const sendError = (res, statusCode, message, error, code) => {
+  res.status(statusCode).json({
+    status: false,
+    message,
+    ...(code ? { code } : {}),
+    error
+  });
+};
+
+const validationError = (details) => createError('VALIDATION_ERROR', 'Validation failed', { details });
+
+// Check query/path parameters before spending upstream quota
+const validateParams = (params, { required = [], dates = [], patterns = {} } = {}) => {
+  const errors = [];
+
+  required.forEach(field => {
+    if (typeof params[field] !== 'string' || params[field].trim() === '') {
+      errors.push(`Missing required parameter: ${field}`);
+    }
+  });
+
+  dates.forEach(field => {
+    const value = params[field];
+    if (value !== undefined && (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime()))) {
+      errors.push(`Invalid date for parameter: ${field} (expected YYYY-MM-DD)`);
+    }
+  });
+
+  Object.entries(patterns).forEach(([field, [pattern, description]]) => {
+    const value = params[field];
+    if (value !== undefined && !pattern.test(value)) {
+      errors.push(`Invalid value for parameter: ${field} (${description})`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+};
+
+const optionalInteger = (value) => (value === undefined ? undefined : Number(value));
+
+// Wrap an async route so its result is sent as `{ status: true, data, meta }`
+const route = (handler) => async (req, res, next) => {
+  try {
+    const { data, meta } = await handler(req);
+    res.json({ status: true, data, meta });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Liveness: the process is up
+router.get('/health', (req, res) => {
+  res.json(liveness());
+});
+
+// Readiness: 503 while this instance should not get traffic
+router.get('/ready', (req, res) => {
+  const report = readiness();
+  res.status(report.status ? 200 : 503).json(report);
+});
+
+// Flight endpoints
+router.get('/flights', route(() => listFlights()));
+
+router.get('/api/flights/search', route(({ query }) => {
+  validateParams(query, {
+    required: ['from'],
+    dates: ['date'],
+    patterns: {
+      passengers: [/^\d+$/, 'positive integer'],
+      limit: [/^\d+$/, 'positive integer']
+    }
+  });
+  return searchFlights({
+    origin: query.from,
+    destination: query.to,
+    date: query.date,
+    passengers: optionalInteger(query.passengers),
+    sortBy: query.sortBy,
+    limit: optionalInteger(query.limit)
+  });
+}));
+
+router.get('/api/flights/deals', route(({ query }) => {
+  validateParams(query, {
+    required: ['origin'],
+    dates: ['departureDate'],
+    patterns: { limit: [/^\d+$/, 'positive integer'] }
+  });
+  if (!query.destination && !query.departureDate) {
+    return getFlightDeals(query.origin, optionalInteger(query.limit));
+  }
+  return searchFlights({
+    origin: query.origin,
+    destination: query.destination,
+    date: query.departureDate,
+    sortBy: 'price',
+    limit: optionalInteger(query.limit)
+  });
+}));
+
+// Train endpoints
+router.get('/api/trains/stations', route(({ query }) => {
+  validateParams(query, { required: ['query'] });
+  return searchStation(query.query);
+}));
+
+router.get('/api/trains/between-stations', route(({ query }) => {
+  validateParams(query, { required: ['from', 'to'], dates: ['date'] });
+  return getTrainsBetweenStations(query.from, query.to, query.date);
+}));
+
+router.get('/api/trains/schedule/:trainNo', route(({ params }) => {
+  validateParams(params, { patterns: { trainNo: [/^\d{5}$/, '5-digit train number'] } });
+  return getTrainSchedule(params.trainNo);
+}));
+
+router.get('/api/trains/live-status/:trainNo', route(({ params, query }) => {
+  validateParams({ ...params, ...query }, {
+    patterns: {
+      trainNo: [/^\d{5}$/, '5-digit train number'],
+      startDay: [/^[0-4]$/, 'days since the run started, 0 to 4']
+    }
+  });
+  return getLiveTrainStatus(params.trainNo, optionalInteger(query.startDay));
+}));
+
+// Unlike the other train endpoints, this returns the normalized board (see stationBoard.js)
+router.get('/api/trains/station-board/:stationCode', route(({ params, query }) => {
+  validateParams({ ...params, ...query }, {
+    patterns: {
+      stationCode: [/^[A-Za-z]{1,5}$/, 'station code'],
+      hours: [new RegExp(`^(${BOARD_HOURS.join('|')})$`), `one of ${BOARD_HOURS.join(', ')}`],
+      to: [/^[A-Za-z]{1,5}$/, 'station code'],
+      types: [/^[A-Za-z]{2,6}(,[A-Za-z]{2,6})*$/, 'comma-separated train types'],
+      show: [new RegExp(`^(${BOARD_SHOW.join('|')})$`), BOARD_SHOW.join(', ')]
+    }
+  });
+  return getStationBoard({
+    station: params.stationCode.toUpperCase(),
+    hours: optionalInteger(query.hours),
+    to: query.to?.toUpperCase(),
+    trainTypes: query.types?.split(','),
+    show: query.show
+  });
+}));
+
+router.get('/api/trains/check-availability', route(({ query }) => {
+  validateParams(query, {
+    required: ['trainNo', 'from', 'to'],
+    dates: ['date'],
+    patterns: { trainNo: [/^\d{5}$/, '5-digit train number'] }
+  });
+  return checkSeatAvailability(query.trainNo, query.from, query.to, query.class, query.quota, query.date);
+}));
+
+router.get('/api/trains/pnr/:pnr', route(({ params }) => {
+  validateParams(params, { patterns: { pnr: [/^\d{10}$/, '10-digit PNR number'] } });
+  return getPNRStatus(params.pnr);
+}));
+
+// Unknown REST paths get the REST envelope rather than a JSON-RPC error
+router.use('/api', (req, res) => {
+  sendError(res, 404, `Route not found: ${req.method} ${req.originalUrl}`, undefined, 'NOT_FOUND');
+});
+
+// REST error handler; Express recognises error handlers by their four parameters.
+// Once a response has started, Express's default handler ends the connection
+router.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const statusCode = httpStatusFor(err);
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  if (statusCode < 500) {
+    return sendError(res, statusCode, err.message, err.details, err.code);
+  }
+
+  log.error('Request failed', { method: req.method, url: req.originalUrl, error: err });
+  sendError(
+    res,
+    statusCode,
+    err.message || 'Internal server error',
+    config.nodeEnv === 'development' ? err.details || err.message : undefined,
+    typeof err.code === 'string' ? err.code : undefined
+  );
+});
+
+export { sendError };
+
+export default router;
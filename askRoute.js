@@ -0,0 +1,73 @@
+import express from 'express';
+import { parseQuery } from './queryParser.js';
+import { sendError } from './apiRoutes.js';
+import { INVALID_PARAMS, FORBIDDEN } from './mcpServer.js';
+import { httpStatusFor } from './errors.js';
+import { config } from './config.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('ask');
+
+// /ask is unauthenticated, so it gets the read-only tool scopes and nothing that changes state
+const ASK_SCOPES = ['trains:read', 'pnr:read', 'flights:read'];
+
+/**
+ * POST /ask - natural-language query endpoint.
+ * Interprets the query locally and dispatches it to the matching MCP tool handler.
+ */
+export const createAskRouter = (mcpServer) => {
+  const router = express.Router();
+
+  router.post('/ask', async (req, res) => {
+    const query = typeof req.body === 'string' ? req.body : req.body?.query;
+
+    if (typeof query !== 'string' || query.trim() === '') {
+      return sendError(res, 400, 'Validation failed', ['Missing required field: query']);
+    }
+
+    const interpretation = parseQuery(query);
+
+    if (!interpretation.tool) {
+      return sendError(res, 422, 'Could not understand the query', {
+        interpretation,
+        hint: 'Try "trains from Delhi to Mumbai tomorrow", "PNR 1234567890" or "schedule of 12951"'
+      });
+    }
+
+    if (interpretation.missing.length > 0) {
+      return sendError(res, 422, `Missing details: ${interpretation.missing.join(', ')}`, { interpretation });
+    }
+
+    try {
+      const result = await mcpServer.handleToolCall({
+        name: interpretation.tool,
+        arguments: interpretation.arguments
+      }, { auth: { clientId: `ip:${req.ip}`, name: '/ask', scopes: ASK_SCOPES } });
+      res.json({ status: true, interpretation, result });
+    } catch (error) {
+      // Arguments the parser extracted but the tool rejected (e.g. a date in the past)
+      if (error.code === INVALID_PARAMS) {
+        return sendError(res, 422, error.message, { interpretation, details: error.data.errors });
+      }
+      if (error.code === FORBIDDEN) {
+        return sendError(res, 403, error.message, { interpretation });
+      }
+
+      const statusCode = httpStatusFor(error);
+      if (statusCode >= 500) {
+        log.error('Tool call failed', { tool: interpretation.tool, error });
+      }
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      sendError(res, statusCode, error.message || 'Failed to answer the query', {
+        interpretation,
+        details: statusCode < 500 || config.nodeEnv === 'development' ? error.details : undefined
+      }, typeof error.code === 'string' ? error.code : undefined);
+    }
+  });
+
+  return router;
+};
+
+export default createAskRouter;
@@ -1,51 +1,101 @@
-import 'dotenv/config';
+import { timingSafeEqual, createHash } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { hasKeys, verifyKey } from './keyStore.js';
+import { config } from './config.js';
 
-const BEARER_TOKEN = process.env.API_BEARER_TOKEN ? process.env.API_BEARER_TOKEN.trim() : null;
-
-if (!BEARER_TOKEN) {
-  console.error('ERROR: API_BEARER_TOKEN is not set in the environment variables');
-  process.exit(1);
-}
+const BEARER_TOKEN = config.apiBearerToken || null;
+const JWT_SECRET = config.jwtSecret || null;
+const JWT_ISSUER = config.jwtIssuer;
+const JWT_AUDIENCE = config.jwtAudience;
 
 /**
- * MCP-compliant authentication middleware
- * Validates Bearer token and returns JSON-RPC 2.0 formatted errors
+ * Problems with the HTTP server's authentication setup, in the same `{ field, message }`
+ * shape as `configProblems`. Over HTTP at least one kind of credential must be configured.
  */
-export const mcpAuth = (req, res, next) => {
-  // Skip auth for initialize and ping methods
-  if (req.body?.method === 'initialize' || req.body?.method === 'ping') {
-    return next();
+export const credentialProblems = () => (BEARER_TOKEN || JWT_SECRET || hasKeys()
+  ? []
+  : [{ field: 'API_BEARER_TOKEN', message: 'or JWT_SECRET must be set, or an API key created with `npm run keys -- create`' }]);
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+// The static token predates the key store and keeps full access
+const verifyStaticToken = (token) => {
+  if (!BEARER_TOKEN || !timingSafeEqual(sha256(token), sha256(BEARER_TOKEN))) return null;
+  return {
+    clientId: `token:${sha256(token).toString('hex').slice(0, 12)}`,
+    name: 'static',
+    scopes: ['*'],
+    type: 'static'
+  };
+};
+
+// Signed JWTs: `sub` names the client, `scope` (space separated) or `scopes` grants access.
+// A token without `sub` is rejected: it would share one identity and quota with every other such token
+const verifyJwt = (token) => {
+  if (!JWT_SECRET || token.split('.').length !== 3) return null;
+  try {
+    const claims = jwt.verify(token, JWT_SECRET, {
+      algorithms: ['HS256', 'HS384', 'HS512'],
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
+    if (typeof claims.sub !== 'string' || claims.sub === '') return null;
+    const scopes = Array.isArray(claims.scopes)
+      ? claims.scopes
+      : String(claims.scope || '').split(' ').filter(Boolean);
+    return {
+      clientId: `jwt:${claims.sub}`,
+      name: claims.sub,
+      scopes,
+      type: 'jwt',
+      expiresAt: claims.exp ? new Date(claims.exp * 1000).toISOString() : null
+    };
+  } catch (error) {
+    return error.name === 'TokenExpiredError' ? { expired: true } : null;
   }
+};
 
+const unauthorized = (req, res, data) => res.status(200).json({
+  jsonrpc: '2.0',
+  error: {
+    code: -32600,
+    message: 'Unauthorized',
+    data
+  },
+  id: req.body?.id || null
+});
+
+/**
+ * MCP-compliant authentication middleware
+ * Accepts the static Bearer token, API keys from the key store and signed JWTs.
+ * On success the caller's identity is attached as `req.auth`; failures are
+ * returned as JSON-RPC 2.0 formatted errors. Every request is authenticated,
+ * `initialize` included, since sessions belong to the credentials that created them.
+ */
+export const mcpAuth = async (req, res, next) => {
   const authHeader = req.header('Authorization');
-  
+
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(200).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32600,
-        message: 'Unauthorized',
-        data: 'No Bearer token provided in Authorization header'
-      },
-      id: req.body?.id || null
-    });
+    return unauthorized(req, res, 'No Bearer token provided in Authorization header');
   }
 
-  const token = authHeader.split(' ')[1];
-  
-  if (token !== BEARER_TOKEN) {
-    return res.status(200).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32600,
-        message: 'Unauthorized',
-        data: 'Invalid Bearer token'
-      },
-      id: req.body?.id || null
-    });
-  }
+  const token = authHeader.slice('Bearer '.length).trim();
+
+  try {
+    const identity = verifyStaticToken(token) || verifyJwt(token) || await verifyKey(token);
 
-  next();
+    if (!identity) {
+      return unauthorized(req, res, 'Invalid Bearer token');
+    }
+    if (identity.expired) {
+      return unauthorized(req, res, 'Bearer token has expired');
+    }
+
+    req.auth = identity;
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 export { BEARER_TOKEN };
@@ -0,0 +1,154 @@
+import { config } from './config.js';
+import { checkSeatAvailability } from './irctcService.js';
+import { normalizeSeatAvailability } from './models.js';
+import { isCancellation } from './errors.js';
+
+// Seat availability across a date range, several classes and quotas.
+// Each upstream call answers for one class and quota over the next few days, so
+// the matrix is filled one series (class + quota) at a time, round-robin, starting
+// at each series' first uncovered date. Calls go through the normal quota queue a
+// small batch at a time; when the quota runs out the matrix built so far is
+// returned rather than failing the whole request.
+
+export const MAX_MATRIX_DAYS = config.availabilityMatrixMaxDays;
+const MAX_REQUESTS = config.availabilityMatrixMaxRequests;
+const DEFAULT_MATRIX_DAYS = 7;
+const BATCH_SIZE = 2;
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+// Dates from startDate to endDate (a week when omitted), stopping one past MAX_MATRIX_DAYS
+export const dateRange = (startDate, endDate = addDays(startDate, DEFAULT_MATRIX_DAYS - 1)) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate && dates.length <= MAX_MATRIX_DAYS; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+const BOOKABLE = ['AVAILABLE', 'CNF'];
+
+const describeCell = (cell) => cell.statusText || cell.status;
+
+/**
+ * How availability develops over the range for one class and quota:
+ * the first date a confirmed berth can be booked, and the spread of waitlist positions.
+ */
+export const summarizeSeries = ({ classType, quota, cells }) => {
+  const known = cells.filter(Boolean);
+  const bookable = known.filter(cell => BOOKABLE.includes(cell.status));
+  const waitlisted = known.filter(cell => cell.status === 'WL' && cell.waitlistPosition !== null);
+  const positions = waitlisted.map(cell => cell.waitlistPosition);
+  const first = bookable[0] || null;
+
+  let summary;
+  if (known.length === 0) {
+    summary = 'no data';
+  } else if (first && first === known[0]) {
+    summary = `available from ${first.date}${first.seats !== null ? ` (${first.seats} seats)` : ''}`;
+  } else if (first) {
+    summary = `first confirmed seats on ${first.date} (${describeCell(first)})`;
+  } else if (positions.length > 0) {
+    summary = `waitlisted on every date checked (WL ${Math.min(...positions)}-${Math.max(...positions)})`;
+  } else {
+    summary = `no confirmed seats on the dates checked (${describeCell(known[0])})`;
+  }
+
+  return {
+    classType,
+    quota,
+    firstAvailableDate: first ? first.date : null,
+    availableDays: bookable.length,
+    waitlist: positions.length > 0 ? { min: Math.min(...positions), max: Math.max(...positions) } : null,
+    summary: `${classType}/${quota}: ${summary}`
+  };
+};
+
+/**
+ * Build the availability grid for `trainNo` between `from` and `to` (station codes).
+ * `onProgress({ covered, total, row })` is called after each upstream answer with the
+ * series it updated, so callers can stream partial results.
+ */
+export const buildAvailabilityMatrix = async ({ trainNo, from, to, startDate, endDate, classes, quotas }, { onProgress } = {}) => {
+  const dates = dateRange(startDate, endDate);
+  const series = classes.flatMap(classType => quotas.map(quota => ({
+    classType,
+    quota,
+    cells: new Map(),
+    error: null
+  })));
+  const total = dates.length * series.length;
+  const errors = [];
+  let requests = 0;
+  let stopped = null;
+
+  const nextDate = (row) => (row.error ? undefined : dates.find(date => !row.cells.has(date)));
+  const covered = () => series.reduce((count, row) => count + (row.error ? 0 : row.cells.size), 0);
+  const rowResult = (row) => ({
+    classType: row.classType,
+    quota: row.quota,
+    cells: dates.map(date => row.cells.get(date) || null)
+  });
+
+  const fill = async (row, date) => {
+    try {
+      const response = await checkSeatAvailability(trainNo, from, to, row.classType, row.quota, date);
+      const { days } = normalizeSeatAvailability(response.data, { trainNo, from, to, classType: row.classType, quota: row.quota });
+      days
+        .filter(day => day.date && dates.includes(day.date) && !row.cells.has(day.date))
+        .forEach(day => row.cells.set(day.date, day));
+      // The upstream had nothing for the requested date; don't ask again
+      if (!row.cells.has(date)) row.cells.set(date, null);
+    } catch (error) {
+      if (isCancellation(error)) throw error;
+      if (error.code === 'RATE_LIMIT_EXCEEDED' || error.code === 'CIRCUIT_OPEN') {
+        const reason = error.code === 'CIRCUIT_OPEN' ? 'upstream_unavailable' : 'rate_limited';
+        stopped = stopped || { reason, retryAfter: error.retryAfter ?? null };
+        return;
+      }
+      row.error = error.message || error.details || 'Request failed';
+      errors.push({ classType: row.classType, quota: row.quota, message: row.error });
+    }
+    if (onProgress) onProgress({ covered: covered(), total, row: rowResult(row) });
+  };
+
+  while (!stopped) {
+    // One request per unfinished series per round, so partial results cover every class
+    const round = series.map(row => [row, nextDate(row)]).filter(([, date]) => date);
+    if (round.length === 0) break;
+
+    for (let index = 0; index < round.length && !stopped; index += BATCH_SIZE) {
+      const batch = round.slice(index, index + BATCH_SIZE);
+      if (requests + batch.length > MAX_REQUESTS) {
+        stopped = { reason: 'request_budget', retryAfter: null };
+        break;
+      }
+      requests += batch.length;
+      await Promise.all(batch.map(([row, date]) => fill(row, date)));
+    }
+  }
+
+  const grid = series.map(rowResult);
+  const missing = grid.reduce((count, row) => count + row.cells.filter(cell => cell === null).length, 0);
+  return {
+    trainNo,
+    from,
+    to,
+    startDate,
+    endDate: dates[dates.length - 1],
+    classes,
+    quotas,
+    dates,
+    grid,
+    trends: grid.map(summarizeSeries),
+    complete: !stopped && errors.length === 0,
+    requests,
+    missing,
+    stopped,
+    errors
+  };
+};
+
+export default buildAvailabilityMatrix;
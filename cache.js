@@ -0,0 +1,106 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, rename, unlink } from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('cache');
+
+// Configuration
+const CACHE_BACKEND = config.cacheBackend;
+const CACHE_DIR = config.cacheDir;
+const MAX_MEMORY_ENTRIES = config.cacheMaxEntries;
+// How long an expired entry is kept around to be served when the upstream is rate limited
+const MAX_STALE_MS = 24 * 60 * 60 * 1000;
+
+// Entries are stored as { value, storedAt, expiresAt }
+
+// In-memory backend; Map insertion order gives us cheap oldest-first eviction
+const createMemoryBackend = () => {
+    const entries = new Map();
+    return {
+        name: 'memory',
+        async get(key) {
+            return entries.get(key) || null;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > MAX_MEMORY_ENTRIES) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+// On-disk backend so the cache survives restarts; one JSON file per key
+const createFileBackend = (dir) => {
+    const fileFor = (key) => path.join(dir, `${key}.json`);
+    let ready = null;
+    return {
+        name: 'file',
+        async get(key) {
+            try {
+                return JSON.parse(await readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    log.warn('Failed to read cache entry', { file: fileFor(key), error: error.message });
+                }
+                return null;
+            }
+        },
+        async set(key, entry) {
+            ready = ready || mkdir(dir, { recursive: true });
+            await ready;
+            // Write to a temp file first so a crash never leaves a half-written entry
+            const tempFile = `${fileFor(key)}.${process.pid}.tmp`;
+            await writeFile(tempFile, JSON.stringify(entry));
+            await rename(tempFile, fileFor(key));
+        },
+        async delete(key) {
+            await unlink(fileFor(key)).catch(() => {});
+        }
+    };
+};
+
+const backend = CACHE_BACKEND === 'file' ? createFileBackend(CACHE_DIR) : createMemoryBackend();
+
+// Stable key for a request: endpoint path plus sorted query parameters
+const cacheKey = (requestPath, params = {}) => {
+    const sorted = Object.keys(params).sort().map(name => [name, String(params[name])]);
+    return createHash('sha1').update(`${requestPath}?${JSON.stringify(sorted)}`).digest('hex');
+};
+
+const get = async (key) => {
+    const entry = await backend.get(key);
+    if (entry && entry.expiresAt + MAX_STALE_MS < Date.now()) {
+        await backend.delete(key);
+        return null;
+    }
+    return entry;
+};
+
+const set = async (key, value, ttlMs) => {
+    const storedAt = Date.now();
+    const entry = { value, storedAt, expiresAt: storedAt + ttlMs };
+    try {
+        await backend.set(key, entry);
+    } catch (error) {
+        // A failing cache must never fail the request
+        log.warn('Failed to store cache entry', { error: error.message });
+    }
+    return entry;
+};
+
+const isFresh = (entry) => Boolean(entry) && entry.expiresAt > Date.now();
+
+export default {
+    backend: backend.name,
+    cacheKey,
+    get,
+    set,
+    isFresh
+};
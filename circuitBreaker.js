@@ -0,0 +1,77 @@
+import { getLogger } from './logger.js';
+
+// Circuit breaker for an upstream dependency.
+// After `threshold` consecutive failures the circuit opens and calls fail fast for
+// `cooldownMs`. Then one trial call is let through (half-open): success closes the
+// circuit, failure opens it again for another cooldown.
+
+const log = getLogger('circuit');
+
+export class CircuitBreaker {
+  constructor({ name, threshold = 5, cooldownMs = 30 * 1000 } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call may go ahead now; in half-open state only one trial at a time
+  allow() {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // Give up a trial slot without an outcome, e.g. when the call never reached the upstream
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      log.info('Circuit closed', { circuit: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        log.error('Circuit opened', { circuit: this.name, failures: this.failures });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Seconds until the next trial call is allowed
+  retryAfter() {
+    if (this.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.cooldownMs - Date.now()) / 1000));
+  }
+
+  status() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.retryAfter()
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,144 @@
+import 'dotenv/config';
+import { validate } from './schemaValidator.js';
+import { createError } from './errors.js';
+
+// Server configuration.
+// Every environment variable the server reads is declared here once, with its type,
+// default and limits. Values are parsed and checked when this module loads; modules
+// read their settings from `config`, and the entry points call `assertConfig()`
+// before starting so a bad value stops startup with a list of every problem.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const URL_PATTERN = '^https?://';
+const RATES_PATTERN = '^[A-Z]{3}=\\d+(\\.\\d+)?(,\\s*[A-Z]{3}=\\d+(\\.\\d+)?)*$';
+const NAMES_PATTERN = '^[a-z_]+(\\s*,\\s*[a-z_]+)*$';
+// Flight providers built into flightService.js; one added with registerFlightProvider belongs here too
+const FLIGHT_PROVIDERS = ['fixture'];
+
+const SETTINGS = {
+  // Server
+  port: { env: 'PORT', type: 'integer', default: 3000, minimum: 1, maximum: 65535 },
+  nodeEnv: { env: 'NODE_ENV', type: 'string', default: 'development' },
+  logLevel: { env: 'LOG_LEVEL', type: 'string', default: 'info', enum: LOG_LEVELS },
+  shutdownTimeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', default: 10 * 1000, minimum: 0 },
+  sessionTtlMs: { env: 'MCP_SESSION_TTL_MS', type: 'integer', default: 30 * 60 * 1000, minimum: 1000 },
+  maxSessionsPerClient: { env: 'MCP_MAX_SESSIONS_PER_CLIENT', type: 'integer', default: 10, minimum: 1 },
+
+  // Authentication
+  apiBearerToken: { env: 'API_BEARER_TOKEN', type: 'string' },
+  apiKeysFile: { env: 'API_KEYS_FILE', type: 'string', default: 'state/api-keys.json' },
+  jwtSecret: { env: 'JWT_SECRET', type: 'string' },
+  jwtIssuer: { env: 'JWT_ISSUER', type: 'string' },
+  jwtAudience: { env: 'JWT_AUDIENCE', type: 'string' },
+
+  // IRCTC API
+  rapidApiKey: { env: 'RAPIDAPI_KEY', type: 'string' },
+  irctcMode: { env: 'IRCTC_MODE', type: 'string', default: 'live', enum: ['live', 'record', 'replay'] },
+  irctcBaseUrl: { env: 'IRCTC_BASE_URL', type: 'string', default: 'https://irctc1.p.rapidapi.com', pattern: URL_PATTERN, description: 'an http(s) URL' },
+  irctcFixturesDir: { env: 'IRCTC_FIXTURES_DIR', type: 'string', default: 'fixtures/irctc' },
+  irctcRetries: { env: 'IRCTC_RETRIES', type: 'integer', default: 2, minimum: 0, maximum: 5 },
+  irctcRetryBaseMs: { env: 'IRCTC_RETRY_BASE_MS', type: 'integer', default: 250, minimum: 1 },
+  irctcCircuitThreshold: { env: 'IRCTC_CIRCUIT_THRESHOLD', type: 'integer', default: 5, minimum: 1 },
+  irctcCircuitCooldownMs: { env: 'IRCTC_CIRCUIT_COOLDOWN_MS', type: 'integer', default: 30 * 1000, minimum: 1000 },
+
+  // Rate limits
+  upstreamRateLimit: { env: 'UPSTREAM_RATE_LIMIT', type: 'integer', default: 10, minimum: 1 },
+  clientRateLimit: { env: 'CLIENT_RATE_LIMIT', type: 'integer', default: 5, minimum: 1 },
+  quotaMaxWaitMs: { env: 'QUOTA_MAX_WAIT_MS', type: 'integer', default: 30 * 1000, minimum: 0 },
+  httpRateLimit: { env: 'HTTP_RATE_LIMIT', type: 'integer', default: 120, minimum: 1 },
+
+  // Cache
+  cacheEnabled: { env: 'CACHE_ENABLED', type: 'boolean', default: true },
+  cacheBackend: { env: 'CACHE_BACKEND', type: 'string', default: 'memory', enum: ['memory', 'file'] },
+  cacheDir: { env: 'CACHE_DIR', type: 'string', default: 'state/cache' },
+  cacheMaxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', default: 1000, minimum: 1 },
+
+  // Flights
+  flightProvider: { env: 'FLIGHT_PROVIDER', type: 'string', default: 'fixture', enum: FLIGHT_PROVIDERS },
+  flightFixturesFile: { env: 'FLIGHT_FIXTURES_FILE', type: 'string' },
+  fxRatesInr: { env: 'FX_RATES_INR', type: 'string', pattern: RATES_PATTERN, description: 'e.g. USD=83.3,EUR=90.4' },
+
+  // PNR watch and resource subscriptions
+  pnrWatchFile: { env: 'PNR_WATCH_FILE', type: 'string', default: 'state/pnr-watch.json' },
+  pnrWatchIntervalMs: { env: 'PNR_WATCH_INTERVAL_MS', type: 'integer', default: 15 * 60 * 1000, minimum: 1000 },
+  pnrWatchChecksPerTick: { env: 'PNR_WATCH_CHECKS_PER_TICK', type: 'integer', default: 2, minimum: 1 },
+  pnrWatchMaxPerClient: { env: 'PNR_WATCH_MAX_PER_CLIENT', type: 'integer', default: 10, minimum: 1 },
+  pnrWebhookUrl: { env: 'PNR_WEBHOOK_URL', type: 'string', pattern: URL_PATTERN, description: 'an http(s) URL' },
+  pnrWebhookSecret: { env: 'PNR_WEBHOOK_SECRET', type: 'string' },
+  pnrPollIntervalMs: { env: 'PNR_POLL_INTERVAL_MS', type: 'integer', default: 10 * 60 * 1000, minimum: 1000 },
+
+  // Availability matrix
+  availabilityMatrixMaxDays: { env: 'AVAILABILITY_MATRIX_MAX_DAYS', type: 'integer', default: 30, minimum: 1, maximum: 120 },
+  availabilityMatrixMaxRequests: { env: 'AVAILABILITY_MATRIX_MAX_REQUESTS', type: 'integer', default: 24, minimum: 1 },
+
+  // MCP tools
+  toolsDisabled: { env: 'TOOLS_DISABLED', type: 'string', pattern: NAMES_PATTERN, description: 'comma-separated tool names' },
+  toolsFile: { env: 'TOOLS_FILE', type: 'string', default: 'state/tools.json' },
+
+  // Station index
+  stationsFile: { env: 'STATIONS_FILE', type: 'string' }
+};
+
+// Environment values are strings; turn them into the declared type before validating
+const PARSERS = {
+  string: (raw) => raw,
+  integer: (raw) => (/^-?\d+$/.test(raw) ? Number(raw) : raw),
+  boolean: (raw) => ({ true: true, false: false, 1: true, 0: false }[raw.toLowerCase()] ?? raw)
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.values(SETTINGS).map(({ env, default: _, ...rules }) => [env, rules]))
+};
+
+// Settings that only make sense together
+const crossChecks = (values) => {
+  const problems = [];
+  if (values.irctcMode !== 'replay' && !values.rapidApiKey) {
+    problems.push({ field: 'RAPIDAPI_KEY', message: `is required when IRCTC_MODE is ${values.irctcMode}` });
+  }
+  return problems;
+};
+
+/**
+ * Read the settings from `env`. Returns `{ values, problems }`; a value that fails
+ * validation is reported in `problems` and replaced by its default in `values`.
+ */
+export const loadConfig = (env = process.env) => {
+  const raw = {};
+  Object.values(SETTINGS).forEach(({ env: name, type }) => {
+    const value = env[name]?.trim();
+    if (value) raw[name] = PARSERS[type](value);
+  });
+
+  const problems = validate(SCHEMA, raw);
+  const invalid = new Set(problems.map(problem => problem.field));
+  const values = Object.fromEntries(Object.entries(SETTINGS).map(([key, { env: name, default: fallback }]) => [
+    key,
+    raw[name] !== undefined && !invalid.has(name) ? raw[name] : fallback
+  ]));
+
+  return { values, problems: [...problems, ...crossChecks(values)] };
+};
+
+const loaded = loadConfig();
+
+export const config = Object.freeze(loaded.values);
+
+// Problems found when the configuration was loaded, as `{ field, message }`
+export const configProblems = loaded.problems;
+
+/**
+ * Throw a CONFIGURATION_ERROR listing every problem with the configuration,
+ * including `extraProblems` found by the caller (e.g. missing credentials).
+ */
+export const assertConfig = (extraProblems = []) => {
+  const problems = [...configProblems, ...extraProblems];
+  if (problems.length === 0) return;
+  throw createError('CONFIGURATION_ERROR', [
+    'Invalid configuration:',
+    ...problems.map(({ field, message }) => `  - ${field} ${message}`)
+  ].join('\n'), { details: problems });
+};
+
+export default config;
@@ -0,0 +1,131 @@
+// Error taxonomy shared by the services, the JSON-RPC server and the REST routes.
+// Errors are plain `Error`s with a string `code`; this module maps each code to a
+// JSON-RPC error code and an HTTP status, and says which ones are worth retrying.
+// Errors that already carry a numeric JSON-RPC code (INVALID_PARAMS, FORBIDDEN, ...)
+// pass through unchanged.
+
+// JSON-RPC error codes: the standard ones, then server errors (-32000 to -32099 are
+// reserved for the implementation)
+export const PARSE_ERROR = -32700;
+export const INVALID_REQUEST = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS = -32602;
+export const INTERNAL_ERROR = -32603;
+export const FORBIDDEN = -32003;
+export const NOT_FOUND = -32004;
+export const RATE_LIMITED = -32005;
+export const UPSTREAM_REJECTED = -32010;
+export const UPSTREAM_FAILED = -32011;
+export const UPSTREAM_TIMEOUT = -32012;
+export const UPSTREAM_UNAVAILABLE = -32013;
+export const NOT_SUPPORTED = -32015;
+// The code LSP uses for a request the client cancelled
+export const REQUEST_CANCELLED = -32800;
+
+const TAXONOMY = {
+  // The caller's input is wrong
+  VALIDATION_ERROR: { rpc: INVALID_PARAMS, http: 400 },
+  // The thing asked about does not exist upstream (e.g. an unknown or flushed PNR)
+  NOT_FOUND: { rpc: NOT_FOUND, http: 404 },
+  FIXTURE_NOT_FOUND: { rpc: NOT_FOUND, http: 404 },
+  // Our quota or the upstream's ran out
+  RATE_LIMIT_EXCEEDED: { rpc: RATE_LIMITED, http: 429 },
+  // The upstream refused the request (bad key, bad parameters): retrying will not help
+  UPSTREAM_CLIENT_ERROR: { rpc: UPSTREAM_REJECTED, http: 502 },
+  // The upstream failed or answered with something we cannot read
+  UPSTREAM_SERVER_ERROR: { rpc: UPSTREAM_FAILED, http: 502, retryable: true },
+  INVALID_RESPONSE: { rpc: UPSTREAM_FAILED, http: 502 },
+  INVALID_FIXTURE: { rpc: UPSTREAM_FAILED, http: 502 },
+  UPSTREAM_TIMEOUT: { rpc: UPSTREAM_TIMEOUT, http: 504, retryable: true },
+  // Could not reach the upstream, or the circuit breaker is failing fast
+  UPSTREAM_UNAVAILABLE: { rpc: UPSTREAM_UNAVAILABLE, http: 503, retryable: true },
+  CIRCUIT_OPEN: { rpc: UPSTREAM_UNAVAILABLE, http: 503 },
+  NOT_SUPPORTED: { rpc: NOT_SUPPORTED, http: 501 },
+  // The caller gave up (notifications/cancelled); there is usually nobody left to tell
+  REQUEST_CANCELLED: { rpc: REQUEST_CANCELLED, http: 499 },
+  CONFIGURATION_ERROR: { rpc: INTERNAL_ERROR, http: 500 }
+};
+
+/**
+ * Build a classified error. `details` is shown to callers, `cause` is kept for logs;
+ * anything else (statusCode, retryAfter, scope, ...) is copied onto the error.
+ */
+export const createError = (code, message, { details, cause, ...extra } = {}) => {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  if (details !== undefined) error.details = details;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Classify an upstream HTTP status: 404 -> NOT_FOUND, 429 -> RATE_LIMIT_EXCEEDED,
+ * other 3xx/4xx -> UPSTREAM_CLIENT_ERROR, 5xx -> UPSTREAM_SERVER_ERROR.
+ */
+export const upstreamStatusError = (statusCode, message, { retryAfter, details } = {}) => {
+  if (statusCode === 404) {
+    return createError('NOT_FOUND', message || 'Not found upstream', { statusCode, details });
+  }
+  if (statusCode === 429) {
+    return createError('RATE_LIMIT_EXCEEDED', 'Upstream rate limit exceeded', { statusCode, details, scope: 'upstream', retryAfter });
+  }
+  const info = details || message || undefined;
+  return statusCode >= 500
+    ? createError('UPSTREAM_SERVER_ERROR', `Upstream service error (HTTP ${statusCode})`, { statusCode, details: info })
+    : createError('UPSTREAM_CLIENT_ERROR', `Upstream rejected the request (HTTP ${statusCode})`, { statusCode, details: info });
+};
+
+/**
+ * The error to fail with once `signal` has been aborted: its reason when that is
+ * already a REQUEST_CANCELLED error (which may say why), otherwise a plain one.
+ */
+export const cancellationError = (signal) => (isCancellation(signal?.reason)
+  ? signal.reason
+  : createError('REQUEST_CANCELLED', 'Request cancelled'));
+
+export const isCancellation = (error) => error?.code === 'REQUEST_CANCELLED';
+
+const entryFor = (error) => (typeof error?.code === 'string' ? TAXONOMY[error.code] : undefined);
+
+export const isClassified = (error) => entryFor(error) !== undefined;
+
+export const isRetryable = (error) => entryFor(error)?.retryable === true;
+
+export const httpStatusFor = (error) => entryFor(error)?.http || 500;
+
+export const rpcCodeFor = (error) => {
+  if (Number.isInteger(error?.code)) return error.code;
+  return entryFor(error)?.rpc || INTERNAL_ERROR;
+};
+
+/**
+ * The `error` member of a JSON-RPC response. Classified errors report their
+ * string code as `data.type`; unclassified ones become a generic internal error.
+ */
+export const toJsonRpcError = (error) => {
+  if (Number.isInteger(error?.code)) {
+    return { code: error.code, message: error.message || 'Internal error', data: error.data };
+  }
+  if (!entryFor(error)) {
+    return { code: INTERNAL_ERROR, message: error?.message || 'Internal error', data: error?.data };
+  }
+
+  const data = { type: error.code };
+  if (error.details !== undefined) data.details = error.details;
+  if (error.retryAfter !== undefined) data.retryAfter = error.retryAfter;
+  if (error.scope !== undefined) data.scope = error.scope;
+  if (error.statusCode !== undefined) data.upstreamStatus = error.statusCode;
+  return { code: rpcCodeFor(error), message: error.message, data };
+};
+
+export default {
+  createError,
+  upstreamStatusError,
+  cancellationError,
+  isCancellation,
+  isClassified,
+  isRetryable,
+  httpStatusFor,
+  rpcCodeFor,
+  toJsonRpcError
+};
@@ -0,0 +1,266 @@
+import { readFile } from 'fs/promises';
+import { config } from './config.js';
+import { getLogger } from './logger.js';
+import { createError } from './errors.js';
+import { todayIST } from './schemaValidator.js';
+
+const log = getLogger('flights');
+
+// Configuration
+const FLIGHT_PROVIDER = config.flightProvider;
+const FLIGHT_FIXTURES_FILE = config.flightFixturesFile || new URL('./data/flights.json', import.meta.url);
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_PASSENGERS = 9;
+const SORT_FIELDS = ['price', 'departure', 'duration'];
+
+// Indicative rates to INR, overridable with FX_RATES_INR="USD=83.1,EUR=90.2"
+const EXCHANGE_RATES = {
+    INR: 1,
+    USD: 83.3,
+    EUR: 90.4,
+    GBP: 105.6,
+    AED: 22.7,
+    SGD: 61.9,
+    ...parseRates(config.fxRatesInr)
+};
+
+// Common city names so callers can pass "Mumbai" instead of "BOM"
+const CITY_AIRPORTS = {
+    'delhi': 'DEL',
+    'new delhi': 'DEL',
+    'mumbai': 'BOM',
+    'bombay': 'BOM',
+    'bengaluru': 'BLR',
+    'bangalore': 'BLR',
+    'chennai': 'MAA',
+    'madras': 'MAA',
+    'kolkata': 'CCU',
+    'calcutta': 'CCU',
+    'hyderabad': 'HYD',
+    'goa': 'GOI',
+    'dubai': 'DXB',
+    'singapore': 'SIN',
+    'frankfurt': 'FRA'
+};
+
+function parseRates(value) {
+    if (!value) return {};
+    return Object.fromEntries(
+        value.split(',')
+            .map(pair => pair.split('=').map(part => part.trim()))
+            .filter(([currency, rate]) => currency && Number(rate) > 0)
+            .map(([currency, rate]) => [currency.toUpperCase(), Number(rate)])
+    );
+}
+
+// Resolve an airport code or a known city name to an IATA code
+const resolveAirport = (value) => {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    const trimmed = value.trim();
+    if (/^[A-Za-z]{3}$/.test(trimmed) && !CITY_AIRPORTS[trimmed.toLowerCase()]) {
+        return trimmed.toUpperCase();
+    }
+    return CITY_AIRPORTS[trimmed.toLowerCase()] || null;
+};
+
+// Convert an amount in a supported currency to INR (rounded to the rupee)
+const convertToINR = (amount, currency = 'INR') => {
+    const rate = EXCHANGE_RATES[String(currency).toUpperCase()];
+    if (!rate) {
+        throw createError('VALIDATION_ERROR', `Unsupported currency: ${currency}`, {
+            details: [`Supported currencies: ${Object.keys(EXCHANGE_RATES).join(', ')}`]
+        });
+    }
+    return Math.round(amount * rate);
+};
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// Add minutes to a local "YYYY-MM-DD" + "HH:MM" pair, returning "YYYY-MM-DDTHH:MM"
+const addMinutes = (date, time, minutes) => {
+    const start = new Date(`${date}T${time}:00Z`);
+    return new Date(start.getTime() + minutes * 60 * 1000).toISOString().slice(0, 16);
+};
+
+// Providers
+// A provider is an object with a `name` and an async `search({ origin, destination, date, passengers })`
+// that resolves to offers shaped like the entries in data/flights.json plus `departureAt`/`arrivalAt`.
+// Providers may also implement `list()` to return their whole catalogue.
+const providers = new Map();
+
+const registerFlightProvider = (provider) => {
+    if (!provider || typeof provider.name !== 'string' || typeof provider.search !== 'function') {
+        throw createError('CONFIGURATION_ERROR', 'Flight provider must have a name and a search() function');
+    }
+    providers.set(provider.name, provider);
+};
+
+const getFlightProvider = (name = FLIGHT_PROVIDER) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw createError('CONFIGURATION_ERROR', `Unknown flight provider: ${name}`);
+    }
+    return provider;
+};
+
+// Offline provider backed by a JSON fixture file. Schedules repeat daily,
+// so every fixture flight is offered on whichever date is requested.
+const fixtureProvider = {
+    name: 'fixture',
+    flights: null,
+    async load() {
+        if (!this.flights) {
+            this.flights = JSON.parse(await readFile(FLIGHT_FIXTURES_FILE, 'utf8'));
+        }
+        return this.flights;
+    },
+    async list() {
+        return this.load();
+    },
+    async search({ origin, destination, date, passengers }) {
+        const flights = await this.load();
+        return flights
+            .filter(flight => flight.origin === origin)
+            .filter(flight => !destination || flight.destination === destination)
+            .filter(flight => flight.seatsAvailable >= passengers)
+            .map(flight => ({
+                ...flight,
+                departureAt: addMinutes(date, flight.departureTime, 0),
+                arrivalAt: addMinutes(date, flight.departureTime, flight.durationMinutes)
+            }));
+    }
+};
+
+registerFlightProvider(fixtureProvider);
+
+const comparators = {
+    price: (a, b) => a.price.amountINR - b.price.amountINR,
+    departure: (a, b) => a.departureAt.localeCompare(b.departureAt),
+    duration: (a, b) => a.durationMinutes - b.durationMinutes
+};
+
+const normalizeSearch = ({ origin, destination, date, passengers = 1, limit = DEFAULT_LIMIT, sortBy = 'price' }) => {
+    const errors = [];
+
+    const originCode = resolveAirport(origin);
+    if (!origin) {
+        errors.push('Missing required field: origin');
+    } else if (!originCode) {
+        errors.push(`Unknown origin airport or city: ${origin}`);
+    }
+
+    const destinationCode = destination ? resolveAirport(destination) : null;
+    if (destination && !destinationCode) {
+        errors.push(`Unknown destination airport or city: ${destination}`);
+    }
+
+    // Without a date, search today's flights in India rather than the UTC day
+    const travelDate = new Date(date || `${todayIST()}T00:00:00Z`);
+    if (Number.isNaN(travelDate.getTime())) {
+        errors.push(`Invalid value for field: date`);
+    }
+
+    const passengerCount = Number(passengers);
+    if (!Number.isInteger(passengerCount) || passengerCount < 1 || passengerCount > MAX_PASSENGERS) {
+        errors.push(`Invalid value for field: passengers (1-${MAX_PASSENGERS})`);
+    }
+
+    const resultLimit = Number(limit);
+    if (!Number.isInteger(resultLimit) || resultLimit < 1) {
+        errors.push('Invalid value for field: limit');
+    }
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+        errors.push(`Invalid value for field: sortBy (${SORT_FIELDS.join(', ')})`);
+    }
+
+    if (errors.length > 0) {
+        throw createError('VALIDATION_ERROR', 'Validation failed', { details: errors });
+    }
+
+    return {
+        origin: originCode,
+        destination: destinationCode,
+        date: formatDate(travelDate),
+        passengers: passengerCount,
+        limit: Math.min(resultLimit, MAX_LIMIT),
+        sortBy
+    };
+};
+
+// Search flights by origin, destination, date and passenger count
+const searchFlights = async (params = {}) => {
+    try {
+        const search = normalizeSearch(params);
+        const provider = getFlightProvider();
+        const offers = await provider.search(search);
+
+        const flights = offers
+            .map(offer => {
+                const amountINR = convertToINR(offer.fare.amount, offer.fare.currency);
+                return {
+                    airline: offer.airline,
+                    flightNumber: offer.flightNumber,
+                    origin: offer.origin,
+                    destination: offer.destination,
+                    departureAt: offer.departureAt,
+                    arrivalAt: offer.arrivalAt,
+                    durationMinutes: offer.durationMinutes,
+                    stops: offer.stops,
+                    seatsAvailable: offer.seatsAvailable,
+                    price: {
+                        amountINR,
+                        totalINR: amountINR * search.passengers,
+                        original: offer.fare
+                    }
+                };
+            })
+            .sort(comparators[search.sortBy])
+            .slice(0, search.limit);
+
+        return {
+            status: 'success',
+            data: flights,
+            meta: {
+                timestamp: new Date().toISOString(),
+                provider: provider.name,
+                currency: 'INR',
+                search
+            }
+        };
+    } catch (error) {
+        log.warn('Error in searchFlights', { code: error.code, error: error.message });
+        throw error;
+    }
+};
+
+// Cheapest flights out of an origin across all destinations
+const getFlightDeals = async (origin, limit = DEFAULT_LIMIT) => {
+    return searchFlights({ origin, limit, sortBy: 'price' });
+};
+
+// List every flight the provider knows about (only catalogue-backed providers support this)
+const listFlights = async () => {
+    const provider = getFlightProvider();
+    if (typeof provider.list !== 'function') {
+        throw createError('NOT_SUPPORTED', `Flight provider '${provider.name}' does not support listing flights`);
+    }
+    return {
+        status: 'success',
+        data: await provider.list(),
+        meta: {
+            timestamp: new Date().toISOString(),
+            provider: provider.name
+        }
+    };
+};
+
+export {
+    searchFlights,
+    listFlights,
+    getFlightDeals,
+    convertToINR,
+    resolveAirport,
+    registerFlightProvider
+};
@@ -0,0 +1,79 @@
+import { config, configProblems } from './config.js';
+import quota from './quota.js';
+import { getUpstreamStatus } from './irctcService.js';
+
+// Liveness, readiness and shutdown state.
+// GET /health only says the process is up. GET /ready says whether this instance
+// should get traffic: the configuration is valid, the IRCTC circuit is not open,
+// upstream quota is left, and the server is not shutting down.
+
+let shuttingDown = false;
+let inFlight = 0;
+
+export const isShuttingDown = () => shuttingDown;
+
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const inFlightRequests = () => inFlight;
+
+// Counts requests in progress; during shutdown, refuses new ones and asks clients to reconnect elsewhere
+export const trackInFlight = (req, res, next) => {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+    if (!['/health', '/ready'].includes(req.path)) {
+      return res.status(503).json({ status: false, message: 'Server is shutting down' });
+    }
+  }
+  inFlight += 1;
+  res.once('close', () => {
+    inFlight -= 1;
+  });
+  next();
+};
+
+export const liveness = () => ({
+  status: true,
+  message: 'OK',
+  uptime: Math.round(process.uptime()),
+  timestamp: new Date().toISOString()
+});
+
+export const readiness = () => {
+  const quotaStats = quota.stats();
+  const circuit = getUpstreamStatus();
+  const checks = {
+    config: {
+      ok: configProblems.length === 0,
+      problems: configProblems.length > 0 ? configProblems : undefined
+    },
+    upstream: {
+      ok: circuit.state !== 'open',
+      mode: config.irctcMode,
+      circuit
+    },
+    quota: {
+      // Fixtures do not spend quota
+      ok: config.irctcMode === 'replay' || quotaStats.remaining > 0,
+      ...quotaStats
+    },
+    server: {
+      ok: !shuttingDown,
+      state: shuttingDown ? 'shutting_down' : 'running',
+      inFlight
+    }
+  };
+  const ready = Object.values(checks).every(check => check.ok);
+  return {
+    status: ready,
+    message: ready ? 'Ready' : 'Not ready',
+    checks,
+    timestamp: new Date().toISOString()
+  };
+};
+
+export default {
+  liveness,
+  readiness
+};
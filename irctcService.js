@@ -1,36 +1,48 @@
-import https from 'https';
-import 'dotenv/config';
+import { config } from './config.js';
+import cache from './cache.js';
+import quota from './quota.js';
+import { getRequestContext } from './requestContext.js';
+import { getProvider } from './upstream.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { createError, upstreamStatusError, cancellationError, isCancellation, isClassified, isRetryable } from './errors.js';
+import { upstreamResponses, upstreamDuration, cacheLookups } from './metrics.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('irctc');
 
 // Configuration
-const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY || '4de48af65amsh68e3080b6e8897ap1c3511jsn79a3a35bbc97';
-const RAPIDAPI_HOST = 'irctc1.p.rapidapi.com';
-const REQUEST_TIMEOUT = 10000; // 10 seconds
-
-// Rate limiting
-const rateLimit = {
-    windowMs: 60 * 1000, // 1 minute
-    maxRequests: 10,
-    requestCount: 0,
-    lastReset: Date.now(),
-    checkRateLimit() {
-        const now = Date.now();
-        if (now - this.lastReset > this.windowMs) {
-            this.requestCount = 0;
-            this.lastReset = now;
-        }
-        
-        if (this.requestCount >= this.maxRequests) {
-            const error = new Error('Rate limit exceeded');
-            error.code = 'RATE_LIMIT_EXCEEDED';
-            error.retryAfter = Math.ceil((this.lastReset + this.windowMs - now) / 1000);
-            throw error;
-        }
-        
-        this.requestCount++;
-        return true;
-    }
+const CACHE_ENABLED = config.cacheEnabled;
+const RETRIES = config.irctcRetries;
+const RETRY_BASE_MS = config.irctcRetryBaseMs;
+const RETRY_MAX_MS = 5000;
+
+// Cache TTL per endpoint: static data lives long, live availability/PNR data briefly
+const CACHE_TTLS = {
+    '/api/v1/searchStation': 24 * 60 * 60 * 1000,
+    '/api/v1/searchTrain': 24 * 60 * 60 * 1000,
+    '/api/v1/getTrainSchedule': 12 * 60 * 60 * 1000,
+    '/api/v1/liveTrainStatus': 60 * 1000,
+    '/api/v3/getLiveStation': 60 * 1000,
+    '/api/v3/trainBetweenStations': 60 * 60 * 1000,
+    '/api/v1/checkSeatAvailability': 2 * 60 * 1000,
+    '/api/v3/getPNRStatus': 2 * 60 * 1000
 };
 
+// Identical requests already on their way upstream, keyed by cache key:
+// { promise, controller, waiters }
+const inFlight = new Map();
+
+// Fails fast while the IRCTC API is down instead of queueing more doomed calls
+const upstreamCircuit = new CircuitBreaker({
+    name: 'IRCTC API',
+    threshold: config.irctcCircuitThreshold,
+    cooldownMs: config.irctcCircuitCooldownMs
+});
+
+const circuitOpenError = () => createError('CIRCUIT_OPEN', 'IRCTC API is unavailable, try again later', {
+    retryAfter: upstreamCircuit.retryAfter()
+});
+
 // Validate inputs
 const validateInputs = (params, requiredFields = []) => {
     const errors = [];
@@ -44,111 +56,244 @@ const validateInputs = (params, requiredFields = []) => {
     });
     
     if (errors.length > 0) {
-        const error = new Error('Validation failed');
-        error.code = 'VALIDATION_ERROR';
-        error.details = errors;
-        throw error;
+        throw createError('VALIDATION_ERROR', 'Validation failed', { details: errors });
     }
 };
 
-// Make HTTP request with timeout and error handling
-const makeRequest = async (path, params = {}) => {
-    // Check rate limit
-    rateLimit.checkRateLimit();
-    
-    return new Promise((resolve, reject) => {
-        const queryString = new URLSearchParams(params).toString();
-        const url = `${path}${queryString ? `?${queryString}` : ''}`;
-        
-        console.log(`[IRCTC API] Making request to: ${url}`);
-        
-        const options = {
-            method: 'GET',
-            hostname: RAPIDAPI_HOST,
-            path: url,
-            headers: {
-                'x-rapidapi-key': RAPIDAPI_KEY,
-                'x-rapidapi-host': RAPIDAPI_HOST,
-                'Accept': 'application/json'
-            },
-            timeout: REQUEST_TIMEOUT
-        };
+// Call the configured upstream provider and parse its response
+const fetchFromUpstream = async (path, params = {}, signal) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = `${path}${queryString ? `?${queryString}` : ''}`;
+    const provider = getProvider();
+
+    const startedAt = process.hrtime.bigint();
+    const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    let response;
+    try {
+        response = await provider.request({ path, params, signal });
+    } catch (error) {
+        // Timeouts and fixture problems are already classified; anything else means we could not get through
+        let classified = isClassified(error)
+            ? error
+            : createError('UPSTREAM_UNAVAILABLE', 'Could not reach the IRCTC API', { cause: error });
+        if (signal?.aborted) classified = cancellationError(signal);
+        upstreamResponses.inc({ endpoint: path, status: classified.code });
+        upstreamDuration.observe({ endpoint: path }, elapsed());
+        log[isCancellation(classified) ? 'info' : 'warn']('Upstream request failed', { url, provider: provider.name, code: classified.code, error: error.message });
+        throw classified;
+    }
+
+    const rawData = response.body;
+    upstreamResponses.inc({ endpoint: path, status: String(response.statusCode) });
+    upstreamDuration.observe({ endpoint: path }, elapsed());
+    log.info('Upstream response', {
+        url,
+        provider: provider.name,
+        status: response.statusCode,
+        bytes: Buffer.byteLength(String(rawData)),
+        durationMs: Math.round(elapsed() * 1000)
+    });
 
-        const requestTimer = setTimeout(() => {
-            req.destroy(new Error('Request timeout'));
-        }, REQUEST_TIMEOUT);
-
-        const req = https.request(options, (res) => {
-            const chunks = [];
-            let responseData;
-            
-            res.on('data', (chunk) => chunks.push(chunk));
-            
-            res.on('end', () => {
-                clearTimeout(requestTimer);
-                
+    let responseData;
+    try {
+        responseData = JSON.parse(rawData);
+    } catch (error) {
+        if (response.statusCode >= 300) {
+            throw upstreamStatusError(response.statusCode, null, { retryAfter: retryAfterHeader(response) });
+        }
+        throw createError('INVALID_RESPONSE', 'Failed to parse API response', { details: error.message });
+    }
+
+    // Only a 2xx is an answer; a redirect is as unusable as a 4xx
+    if (response.statusCode >= 300) {
+        throw upstreamStatusError(response.statusCode, responseData?.message, { retryAfter: retryAfterHeader(response) });
+    }
+
+    return {
+        status: 'success',
+        data: responseData,
+        meta: {
+            timestamp: new Date().toISOString(),
+            path,
+            params
+        }
+    };
+};
+
+const retryAfterHeader = (response) => {
+    const value = Number(response.headers?.['retry-after']);
+    return Number.isFinite(value) && value > 0 ? value : undefined;
+};
+
+// Exponential backoff with jitter, so retries from concurrent callers spread out
+const backoffDelay = (attempt) => {
+    const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+// Resolves after `ms`, or rejects as soon as `signal` is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancellationError(signal));
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancellationError(signal));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// All IRCTC calls are idempotent GETs, so timeouts, connection failures and 5xx
+// answers are retried. Every retry is another upstream call and waits for quota.
+const fetchWithRetries = async (path, params, clientId, metered, signal) => {
+    for (let attempt = 0; ; attempt++) {
+        if (attempt > 0) {
+            await sleep(backoffDelay(attempt), signal);
+            if (!upstreamCircuit.allow()) throw circuitOpenError();
+            if (metered) {
                 try {
-                    const rawData = Buffer.concat(chunks).toString();
-                    responseData = JSON.parse(rawData);
-                    
-                    console.log(`[IRCTC API] Response status: ${res.statusCode}`, 
-                               `\nURL: ${url}`,
-                               `\nResponse: ${rawData.substring(0, 500)}...`);
-                    
-                    if (res.statusCode >= 400) {
-                        const error = new Error(responseData.message || 'API request failed');
-                        error.statusCode = res.statusCode;
-                        error.response = responseData;
-                        throw error;
-                    }
-                    
-                    resolve({
-                        status: 'success',
-                        data: responseData,
-                        meta: {
-                            timestamp: new Date().toISOString(),
-                            path,
-                            params
-                        }
-                    });
+                    await quota.acquire(clientId, signal);
                 } catch (error) {
-                    console.error('[IRCTC API] Response parsing error:', error);
-                    reject({
-                        status: 'error',
-                        code: 'INVALID_RESPONSE',
-                        message: 'Failed to parse API response',
-                        details: error.message
-                    });
+                    upstreamCircuit.release();
+                    throw error;
                 }
-            });
-        });
+            }
+        }
 
-        req.on('error', (error) => {
-            clearTimeout(requestTimer);
-            console.error('[IRCTC API] Request error:', error);
-            reject({
-                status: 'error',
-                code: error.code || 'REQUEST_ERROR',
-                message: 'Failed to make API request',
-                details: error.message
-            });
-        });
+        try {
+            const response = await fetchFromUpstream(path, params, signal);
+            upstreamCircuit.recordSuccess();
+            return response;
+        } catch (error) {
+            // A cancelled call says nothing about the upstream's health
+            if (isCancellation(error)) {
+                upstreamCircuit.release();
+                throw error;
+            }
+            // Only failures that suggest the upstream is down count against the circuit. A
+            // rejected request (4xx) says nothing either way, so it neither closes a
+            // half-open circuit nor counts towards opening one.
+            if (isRetryable(error)) {
+                upstreamCircuit.recordFailure();
+            } else {
+                upstreamCircuit.release();
+            }
+            if (!isRetryable(error) || attempt >= RETRIES) throw error;
+            log.warn('Retrying upstream request', { path, code: error.code, attempt: attempt + 1, retries: RETRIES });
+        }
+    }
+};
 
-        req.on('timeout', () => {
-            req.destroy(new Error('Request timeout'));
-        });
+// Attach cache status to a response without mutating the cached copy; every
+// response handed out passes through here, so this is where cache results are counted
+const withCacheMeta = (response, status, entry) => {
+    cacheLookups.inc({ endpoint: response.meta.path, result: status });
+    return {
+        ...response,
+        meta: {
+            ...response.meta,
+            cache: {
+                status,
+                storedAt: entry ? new Date(entry.storedAt).toISOString() : undefined,
+                expiresAt: entry ? new Date(entry.expiresAt).toISOString() : undefined
+            }
+        }
+    };
+};
 
-        req.end();
+// Wait for a shared upstream call on behalf of one caller. A caller whose request is
+// cancelled stops waiting at once; the call itself is aborted only when every caller
+// sharing it has been cancelled.
+const awaitShared = (shared, signal) => {
+    shared.waiters += 1;
+    if (!signal) return shared.promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            shared.waiters -= 1;
+            if (shared.waiters === 0) shared.controller.abort(signal.reason);
+            reject(cancellationError(signal));
+        };
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise
+            .finally(() => signal.removeEventListener('abort', onAbort))
+            .then(resolve, reject);
     });
 };
 
+// Cached, coalesced and rate-limited upstream request; the caller's cancellation
+// signal comes from the request context
+const makeRequest = async (path, params = {}) => {
+    const ttl = CACHE_ENABLED ? CACHE_TTLS[path] || 0 : 0;
+    const key = cache.cacheKey(path, params);
+    const { clientId, signal } = getRequestContext();
+    if (signal?.aborted) throw cancellationError(signal);
+
+    const cached = ttl ? await cache.get(key) : null;
+    if (cache.isFresh(cached)) {
+        return withCacheMeta(cached.value, 'hit', cached);
+    }
+
+    // Share the upstream call with an identical request that is already running
+    if (inFlight.has(key)) {
+        const { response, entry } = await awaitShared(inFlight.get(key), signal);
+        return withCacheMeta(response, 'coalesced', entry);
+    }
+
+    // Upstream known to be down: an expired entry is better than an error
+    if (!upstreamCircuit.allow()) {
+        if (cached) {
+            log.warn('Circuit open, serving stale cache', { path });
+            return withCacheMeta(cached.value, 'stale', cached);
+        }
+        throw circuitOpenError();
+    }
+
+    // Out of quota for this client: an expired entry is better than waiting in the queue
+    const metered = getProvider().metered !== false;
+    const granted = !metered || quota.tryAcquire(clientId);
+    if (!granted && cached) {
+        upstreamCircuit.release();
+        log.info('Rate limited, serving stale cache', { path });
+        return withCacheMeta(cached.value, 'stale', cached);
+    }
+
+    // Registered before waiting for quota so queued duplicates coalesce too
+    const controller = new AbortController();
+    const waitForQuota = granted ? Promise.resolve() : quota.acquire(clientId, controller.signal).catch(error => {
+        upstreamCircuit.release();
+        throw error;
+    });
+    const promise = waitForQuota
+        .then(() => fetchWithRetries(path, params, clientId, metered, controller.signal))
+        .then(async (response) => ({
+            response,
+            entry: ttl ? await cache.set(key, response, ttl) : null
+        }))
+        .finally(() => inFlight.delete(key));
+    // Every caller may have been cancelled by the time it settles
+    promise.catch(() => {});
+    const shared = { promise, controller, waiters: 0 };
+    inFlight.set(key, shared);
+
+    const { response, entry } = await awaitShared(shared, signal);
+    return withCacheMeta(response, 'miss', entry);
+};
+
+// Upstream calls the current caller can make before running into its quota;
+// unlimited when the provider is not metered (replay)
+const upstreamBudget = () => (getProvider().metered === false ? Infinity : quota.budget(getRequestContext().clientId));
+
 // Search for station by code or name
 const searchStation = async (query) => {
     try {
         validateInputs({ query }, ['query']);
         return await makeRequest('/api/v1/searchStation', { query });
     } catch (error) {
-        console.error('Error in searchStation:', error);
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in searchStation', { code: error.code, error: error.message });
         throw error;
     }
 };
@@ -159,7 +304,7 @@ const searchTrain = async (query) => {
         validateInputs({ query }, ['query']);
         return await makeRequest('/api/v1/searchTrain', { query });
     } catch (error) {
-        console.error('Error in searchTrain:', error);
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in searchTrain', { code: error.code, error: error.message });
         throw error;
     }
 };
@@ -178,7 +323,7 @@ const getTrainsBetweenStations = async (fromStationCode, toStationCode, date = n
             date: formattedDate
         });
     } catch (error) {
-        console.error('Error in getTrainsBetweenStations:', error);
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in getTrainsBetweenStations', { code: error.code, error: error.message });
         throw error;
     }
 };
@@ -189,7 +334,7 @@ const getPNRStatus = async (pnrNumber) => {
         validateInputs({ pnrNumber }, ['pnrNumber']);
         return await makeRequest('/api/v3/getPNRStatus', { pnrNumber });
     } catch (error) {
-        console.error('Error in getPNRStatus:', error);
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in getPNRStatus', { code: error.code, error: error.message });
         throw error;
     }
 };
@@ -200,13 +345,40 @@ const getTrainSchedule = async (trainNo) => {
         validateInputs({ trainNo }, ['trainNo']);
         return await makeRequest('/api/v1/getTrainSchedule', { trainNo });
     } catch (error) {
-        console.error('Error in getTrainSchedule:', error);
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in getTrainSchedule', { code: error.code, error: error.message });
+        throw error;
+    }
+};
+
+// Live running status of one run of a train: `startDay` is how many days ago that run
+// started (0 = today, in IST)
+const getLiveTrainStatus = async (trainNo, startDay = 0) => {
+    try {
+        validateInputs({ trainNo }, ['trainNo']);
+        return await makeRequest('/api/v1/liveTrainStatus', { trainNo, startDay: String(startDay) });
+    } catch (error) {
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in getLiveTrainStatus', { code: error.code, error: error.message });
+        throw error;
+    }
+};
+
+// Trains due at a station in the next `hours`, optionally only those heading to `toStationCode`
+const getLiveStation = async (fromStationCode, hours = 4, toStationCode) => {
+    try {
+        validateInputs({ fromStationCode }, ['fromStationCode']);
+        return await makeRequest('/api/v3/getLiveStation', {
+            fromStationCode,
+            hours: String(hours),
+            ...(toStationCode ? { toStationCode } : {})
+        });
+    } catch (error) {
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in getLiveStation', { code: error.code, error: error.message });
         throw error;
     }
 };
 
-// Check seat availability
-const checkSeatAvailability = async (trainNo, fromStationCode, toStationCode, classType = '3A', quota = 'GN') => {
+// Check seat availability; the upstream answers for several days starting at `date` (YYYY-MM-DD)
+const checkSeatAvailability = async (trainNo, fromStationCode, toStationCode, classType = '3A', quota = 'GN', date) => {
     try {
         validateInputs(
             { trainNo, fromStationCode, toStationCode, classType, quota },
@@ -218,19 +390,27 @@ const checkSeatAvailability = async (trainNo, fromStationCode, toStationCode, cl
             fromStationCode,
             toStationCode,
             classType,
-            quota
+            quota,
+            ...(date ? { date } : {})
         });
     } catch (error) {
-        console.error('Error in checkSeatAvailability:', error);
+        log[isCancellation(error) ? 'debug' : 'warn']('Error in checkSeatAvailability', { code: error.code, error: error.message });
         throw error;
     }
 };
 
+// Circuit breaker state, for health checks
+const getUpstreamStatus = () => upstreamCircuit.status();
+
 export {
+    getUpstreamStatus,
+    upstreamBudget,
     searchStation,
     searchTrain,
     getTrainsBetweenStations,
     getPNRStatus,
     getTrainSchedule,
+    getLiveTrainStatus,
+    getLiveStation,
     checkSeatAvailability
 };
@@ -0,0 +1,330 @@
+import { getTrainsBetweenStations, getTrainSchedule, upstreamBudget } from './irctcService.js';
+import { normalizeTrains, normalizeSchedule } from './models.js';
+import { getCoordinates, getStation, listHubs } from './stations.js';
+import { isCancellation } from './errors.js';
+
+// Multi-leg journey planner.
+// Finds direct trains plus one- and two-change itineraries through major
+// junctions that lie roughly on the way (judged from the station index's
+// coordinates). Every leg is a trains-between-stations search, so the number
+// of interchanges tried is capped, and cut further to the searches the caller's
+// quota allows; the best-placed interchanges are kept.
+
+export const PLAN_DEFAULTS = {
+  minLayoverMinutes: 60,
+  maxLayoverMinutes: 12 * 60,
+  maxDurationHours: 48,
+  maxChanges: 2,
+  sortBy: 'arrival',
+  limit: 5
+};
+
+const MAX_HUBS = 3;
+const MAX_HUB_PAIRS = 2;
+// A route through a hub may be at most this much longer than the straight line
+const MAX_DETOUR = 1.35;
+// Hubs this close to either end are the same city, not an interchange
+const MIN_HUB_DISTANCE_KM = 40;
+// Connections tried from each arriving train
+const CONNECTIONS_PER_ARRIVAL = 3;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+const clockMinutes = (time) => (time ? Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5)) : null);
+
+// Minutes since midnight of the journey date -> "YYYY-MM-DDTHH:MM" (IST)
+const timestamp = (date, minutes) => {
+  const day = Math.floor(minutes / 1440);
+  const inDay = minutes - day * 1440;
+  return `${addDays(date, day)}T${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}`;
+};
+
+const runsOn = (train, date) => {
+  const days = (train.runDays || []).map(day => String(day).slice(0, 3).toLowerCase());
+  // No run-day information: trust the search, which only lists trains running that date
+  if (days.length === 0) return true;
+  return days.includes(WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]);
+};
+
+/**
+ * Interchanges worth trying between two stations: single hubs for one change and
+ * ordered hub pairs for two, ranked by how far they take the route out of its way.
+ */
+export const pickInterchanges = (from, to, { via } = {}) => {
+  if (via?.length) {
+    return { hubs: via.map(code => code.toUpperCase()), pairs: via.length === 2 ? [via.map(code => code.toUpperCase())] : [] };
+  }
+
+  const start = getCoordinates(from);
+  const end = getCoordinates(to);
+  if (!start || !end) return { hubs: [], pairs: [] };
+
+  const direct = Math.max(distanceKm(start, end), 1);
+  const candidates = listHubs()
+    .filter(hub => distanceKm(start, hub.coordinates) > MIN_HUB_DISTANCE_KM && distanceKm(hub.coordinates, end) > MIN_HUB_DISTANCE_KM)
+    .map(hub => ({ ...hub, detour: (distanceKm(start, hub.coordinates) + distanceKm(hub.coordinates, end)) / direct }))
+    .filter(hub => hub.detour <= MAX_DETOUR)
+    .sort((a, b) => a.detour - b.detour);
+
+  const pairs = [];
+  candidates.slice(0, 8).forEach(first => {
+    candidates.slice(0, 8).forEach(second => {
+      if (first.code === second.code || distanceKm(first.coordinates, second.coordinates) <= MIN_HUB_DISTANCE_KM) return;
+      // The second hub must be further along the way than the first
+      if (distanceKm(start, first.coordinates) >= distanceKm(start, second.coordinates)) return;
+      const detour = (distanceKm(start, first.coordinates) + distanceKm(first.coordinates, second.coordinates) + distanceKm(second.coordinates, end)) / direct;
+      if (detour <= MAX_DETOUR + 0.1) pairs.push({ codes: [first.code, second.code], detour });
+    });
+  });
+
+  return {
+    hubs: candidates.slice(0, MAX_HUBS).map(hub => hub.code),
+    pairs: pairs.sort((a, b) => a.detour - b.detour).slice(0, MAX_HUB_PAIRS).map(pair => pair.codes)
+  };
+};
+
+// The interchanges whose leg searches fit in `budget`, taken in ranked order.
+// Searches shared with routes already chosen cost nothing extra
+const fitToBudget = ({ from, to, hubs, pairs, maxChanges }, budget) => {
+  const planned = new Set([`${from}:${to}`]);
+  const dropped = [];
+  const fits = (stops) => {
+    const legs = stops.slice(1).map((stop, index) => `${stops[index]}:${stop}`);
+    const extra = legs.filter(leg => !planned.has(leg));
+    if (planned.size + extra.length > budget) return false;
+    extra.forEach(leg => planned.add(leg));
+    return true;
+  };
+
+  const keptHubs = maxChanges >= 1 ? hubs.filter(hub => fits([from, hub, to]) || !dropped.push(hub)) : [];
+  const keptPairs = maxChanges >= 2 ? pairs.filter(pair => fits([from, ...pair, to]) || !dropped.push(pair.join('+'))) : [];
+  return { hubs: keptHubs, pairs: keptPairs, dropped, searches: planned.size };
+};
+
+/**
+ * Plan itineraries from `from` to `to` (station codes) leaving on `date` (YYYY-MM-DD).
+ * Options default to PLAN_DEFAULTS; `via` forces the interchange stations.
+ * `onProgress({ searched, message })` is called as each leg search finishes.
+ * Interchanges that do not fit in the caller's upstream quota are left out and listed
+ * in `searched.dropped`; the result is then `partial`. When quota runs out before
+ * anything is found, the rate-limit error is thrown.
+ */
+export const planJourney = async ({ from, to, date, via, ...overrides }, { onProgress } = {}) => {
+  const options = { ...PLAN_DEFAULTS, ...overrides };
+  const legSearches = new Map();
+  const schedules = new Map();
+  const skipped = [];
+  let quotaError = null;
+  let searched = 0;
+
+  // Trains between two stations on a date; failed searches are reported, not fatal,
+  // but a cancelled request ends the whole plan
+  const searchLeg = (legFrom, legTo, legDate) => {
+    const key = `${legFrom}:${legTo}:${legDate}`;
+    if (!legSearches.has(key)) {
+      legSearches.set(key, getTrainsBetweenStations(legFrom, legTo, legDate)
+        .then(response => normalizeTrains(response.data))
+        .catch(error => {
+          if (isCancellation(error)) throw error;
+          if (error.code === 'RATE_LIMIT_EXCEEDED') quotaError = error;
+          skipped.push({ from: legFrom, to: legTo, date: legDate, reason: error.code || error.message || 'error' });
+          return [];
+        })
+        .then(trains => {
+          searched += 1;
+          if (onProgress) onProgress({ searched, message: `Searched ${legFrom} to ${legTo} on ${legDate} (${searched} searches)` });
+          return trains;
+        }));
+    }
+    return legSearches.get(key);
+  };
+
+  const scheduleFor = (trainNo) => {
+    if (!schedules.has(trainNo)) {
+      schedules.set(trainNo, getTrainSchedule(trainNo)
+        .then(response => normalizeSchedule(response.data, trainNo))
+        .catch(error => {
+          if (isCancellation(error)) throw error;
+          return null;
+        }));
+    }
+    return schedules.get(trainNo);
+  };
+
+  // Departure time and running time of a train between two stations,
+  // falling back to the train's schedule when the search omits them
+  const timing = async (train, legFrom, legTo) => {
+    let departure = clockMinutes(train.departure);
+    let duration = train.durationMinutes;
+    if (duration === null && departure !== null && train.arrival) {
+      duration = clockMinutes(train.arrival) + train.dayOffset * 1440 - departure;
+    }
+    if (departure === null || duration === null) {
+      const schedule = await scheduleFor(train.number);
+      const board = schedule?.stops.find(stop => stop.code === legFrom);
+      const alight = schedule?.stops.find(stop => stop.code === legTo);
+      if (!board?.departure || !alight?.arrival) return null;
+      departure = clockMinutes(board.departure);
+      duration = (alight.day - board.day) * 1440 + clockMinutes(alight.arrival) - departure;
+    }
+    return duration > 0 ? { departure, duration } : null;
+  };
+
+  const makeLeg = (train, legFrom, legTo, departs, duration) => ({
+    trainNo: train.number,
+    trainName: train.name,
+    from: { code: legFrom, name: train.from.code === legFrom && train.from.name ? train.from.name : getStation(legFrom)?.name || null },
+    to: { code: legTo, name: train.to.code === legTo && train.to.name ? train.to.name : getStation(legTo)?.name || null },
+    departs,
+    arrives: departs + duration,
+    durationMinutes: duration
+  });
+
+  // First legs leave on the journey date itself
+  const firstLegs = async (legTo) => {
+    const trains = await searchLeg(from, legTo, date);
+    const legs = await Promise.all(trains.map(async train => {
+      const time = await timing(train, from, legTo);
+      return time ? [makeLeg(train, from, legTo, time.departure, time.duration)] : null;
+    }));
+    return legs.filter(Boolean);
+  };
+
+  // Extend partial itineraries that end at `legFrom` with connections to `legTo`
+  const connect = async (partials, legFrom, legTo) => {
+    if (partials.length === 0) return [];
+    const earliest = Math.min(...partials.map(legs => legs[legs.length - 1].arrives));
+    const searchDay = Math.floor((earliest + options.minLayoverMinutes) / 1440);
+    const trains = await searchLeg(legFrom, legTo, addDays(date, searchDay));
+    const timed = (await Promise.all(trains.map(async train => ({ train, time: await timing(train, legFrom, legTo) }))))
+      .filter(({ time }) => time);
+
+    const extended = [];
+    partials.forEach(legs => {
+      const arrival = legs[legs.length - 1].arrives;
+      const connections = [];
+      timed.forEach(({ train, time }) => {
+        if (legs.some(leg => leg.trainNo === train.number)) return;
+        // The next departure on or after the minimum layover, allowing for day rollovers
+        for (let day = searchDay; day <= searchDay + 2; day++) {
+          const departs = day * 1440 + time.departure;
+          if (departs < arrival + options.minLayoverMinutes) continue;
+          if (departs - arrival > options.maxLayoverMinutes) break;
+          if (day === searchDay || runsOn(train, addDays(date, day))) {
+            connections.push(makeLeg(train, legFrom, legTo, departs, time.duration));
+            break;
+          }
+        }
+      });
+      connections
+        .sort((a, b) => a.arrives - b.arrives)
+        .slice(0, CONNECTIONS_PER_ARRIVAL)
+        .forEach(leg => extended.push([...legs, leg]));
+    });
+    return extended;
+  };
+
+  const budget = upstreamBudget();
+  if (budget < 1) {
+    // Not even the direct search would get through: fail like any other call
+    await getTrainsBetweenStations(from, to, date);
+  }
+  const { hubs, pairs, dropped, searches } = fitToBudget({ from, to, ...pickInterchanges(from, to, { via }), maxChanges: options.maxChanges }, budget);
+  const itineraries = [...await firstLegs(to)];
+
+  if (options.maxChanges >= 1) {
+    const viaHub = await Promise.all(hubs.map(async hub => connect(await firstLegs(hub), hub, to)));
+    itineraries.push(...viaHub.flat());
+  }
+
+  // Two changes are only worth the extra searches when there is little else
+  if (options.maxChanges >= 2 && itineraries.length < options.limit) {
+    const viaPairs = await Promise.all(pairs.map(async ([first, second]) => {
+      const toSecond = await connect(await firstLegs(first), first, second);
+      return connect(toSecond, second, to);
+    }));
+    itineraries.push(...viaPairs.flat());
+  }
+
+  if (quotaError && itineraries.length === 0) throw quotaError;
+
+  const seen = new Set();
+  const results = itineraries
+    .map(legs => ({
+      legs,
+      changes: legs.length - 1,
+      departs: legs[0].departs,
+      arrives: legs[legs.length - 1].arrives,
+      totalDurationMinutes: legs[legs.length - 1].arrives - legs[0].departs
+    }))
+    .filter(itinerary => itinerary.totalDurationMinutes <= options.maxDurationHours * 60)
+    .filter(itinerary => {
+      const key = itinerary.legs.map(leg => `${leg.trainNo}@${leg.departs}`).join('>');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort(RANKINGS[options.sortBy] || RANKINGS.arrival)
+    .slice(0, options.limit)
+    .map(itinerary => ({
+      changes: itinerary.changes,
+      departure: timestamp(date, itinerary.departs),
+      arrival: timestamp(date, itinerary.arrives),
+      totalDurationMinutes: itinerary.totalDurationMinutes,
+      legs: itinerary.legs.map((leg, index) => ({
+        trainNo: leg.trainNo,
+        trainName: leg.trainName,
+        from: leg.from,
+        to: leg.to,
+        departure: timestamp(date, leg.departs),
+        arrival: timestamp(date, leg.arrives),
+        durationMinutes: leg.durationMinutes,
+        layoverMinutes: index > 0 ? leg.departs - itinerary.legs[index - 1].arrives : null,
+        // Ready-made arguments for checking seats on this leg
+        availability: {
+          tool: 'check_seat_availability',
+          arguments: { trainNo: leg.trainNo, from: leg.from.code, to: leg.to.code, date: timestamp(date, leg.departs).slice(0, 10) }
+        }
+      }))
+    }));
+
+  return {
+    from,
+    to,
+    date,
+    options,
+    count: results.length,
+    itineraries: results,
+    partial: dropped.length > 0 || skipped.length > 0,
+    searched: {
+      interchanges: [...new Set([...hubs, ...pairs.flat()])],
+      upstreamSearches: legSearches.size,
+      budget: Number.isFinite(budget) ? budget : null,
+      planned: searches,
+      dropped,
+      skipped
+    }
+  };
+};
+
+const RANKINGS = {
+  arrival: (a, b) => a.arrives - b.arrives || a.totalDurationMinutes - b.totalDurationMinutes,
+  duration: (a, b) => a.totalDurationMinutes - b.totalDurationMinutes || a.arrives - b.arrives,
+  changes: (a, b) => a.changes - b.changes || a.arrives - b.arrives
+};
+
+export default planJourney;
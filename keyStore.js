@@ -0,0 +1,154 @@
+import { randomBytes, createHash } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import { config } from './config.js';
+
+// File-backed store of named API keys.
+// Keys look like `mcp_<id>_<secret>`; only a bcrypt hash of the secret is stored,
+// and the id lets us find the right entry without comparing against every hash.
+
+const API_KEYS_FILE = config.apiKeysFile;
+const BCRYPT_ROUNDS = 10;
+const DEFAULT_ROTATION_OVERLAP_SECONDS = 24 * 60 * 60;
+// Successful verifications are remembered briefly so bcrypt does not run on every request
+const VERIFY_CACHE_MS = 5 * 60 * 1000;
+
+let store = { keys: [] };
+let loadedMtime = null;
+const verified = new Map();
+
+const tokenHash = (token) => createHash('sha256').update(token).digest('hex');
+
+// (Re)load the key file when it changes on disk, e.g. after `npm run keys -- create`
+const load = () => {
+  let mtime;
+  try {
+    mtime = statSync(API_KEYS_FILE).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return store;
+    throw error;
+  }
+  if (mtime !== loadedMtime) {
+    store = JSON.parse(readFileSync(API_KEYS_FILE, 'utf8'));
+    loadedMtime = mtime;
+    verified.clear();
+  }
+  return store;
+};
+
+const save = async () => {
+  await mkdir(path.dirname(API_KEYS_FILE), { recursive: true });
+  const tempFile = `${API_KEYS_FILE}.${process.pid}.tmp`;
+  await writeFile(tempFile, `${JSON.stringify(store, null, 2)}\n`, { mode: 0o600 });
+  await rename(tempFile, API_KEYS_FILE);
+  verified.clear();
+};
+
+const isActive = (entry, now = Date.now()) => !entry.revokedAt && (!entry.expiresAt || Date.parse(entry.expiresAt) > now);
+
+// Public view of an entry (never includes the hash)
+const describe = ({ id, name, scopes, createdAt, expiresAt, revokedAt, rotatedTo }) => ({
+  id,
+  name,
+  scopes,
+  createdAt,
+  expiresAt: expiresAt || null,
+  revokedAt: revokedAt || null,
+  rotatedTo: rotatedTo || null,
+  active: isActive({ expiresAt, revokedAt })
+});
+
+export const hasKeys = () => load().keys.length > 0;
+
+export const listKeys = () => load().keys.map(describe);
+
+/**
+ * Create a key. The plain-text key is returned only here and cannot be recovered later.
+ */
+export const createKey = async ({ name, scopes = ['*'], expiresAt = null }) => {
+  if (!name) throw new Error('A key name is required');
+  load();
+
+  const id = randomBytes(4).toString('hex');
+  const secret = randomBytes(24).toString('base64url');
+  const entry = {
+    id,
+    name,
+    hash: await bcrypt.hash(secret, BCRYPT_ROUNDS),
+    scopes,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    revokedAt: null
+  };
+
+  store.keys.push(entry);
+  await save();
+  return { key: `mcp_${id}_${secret}`, ...describe(entry) };
+};
+
+const findKey = (id) => {
+  const entry = load().keys.find(key => key.id === id);
+  if (!entry) throw new Error(`Unknown key id: ${id}`);
+  return entry;
+};
+
+/**
+ * Replace a key with a new one that has the same name and scopes.
+ * The old key keeps working for `overlapSeconds` so clients can switch over.
+ */
+export const rotateKey = async (id, { overlapSeconds = DEFAULT_ROTATION_OVERLAP_SECONDS } = {}) => {
+  // Checked before anything is written, so a bad overlap never leaves two unexpiring keys
+  if (!Number.isFinite(overlapSeconds) || overlapSeconds < 0) {
+    throw new Error(`The overlap must be a number of seconds, got ${overlapSeconds}`);
+  }
+  const previous = findKey(id);
+  if (!isActive(previous)) throw new Error(`Key ${id} is no longer active`);
+
+  const replacement = await createKey({ name: previous.name, scopes: previous.scopes, expiresAt: previous.expiresAt });
+  const overlapEnd = Date.now() + overlapSeconds * 1000;
+  const current = findKey(id);
+  if (!current.expiresAt || Date.parse(current.expiresAt) > overlapEnd) {
+    current.expiresAt = new Date(overlapEnd).toISOString();
+  }
+  current.rotatedTo = replacement.id;
+  await save();
+
+  return { ...replacement, previous: describe(current) };
+};
+
+export const revokeKey = async (id) => {
+  const entry = findKey(id);
+  entry.revokedAt = new Date().toISOString();
+  await save();
+  return describe(entry);
+};
+
+/**
+ * Verify a presented key. Resolves to the key's identity, or null when the key
+ * is unknown, revoked or wrong. Expired keys resolve to `{ expired: true }`.
+ */
+export const verifyKey = async (token) => {
+  const match = /^mcp_([0-9a-f]{8})_([A-Za-z0-9_-]+)$/.exec(token);
+  if (!match) return null;
+
+  const entry = load().keys.find(key => key.id === match[1]);
+  if (!entry || entry.revokedAt) return null;
+  if (!isActive(entry)) return { expired: true };
+
+  const cacheKey = tokenHash(token);
+  const cachedUntil = verified.get(cacheKey);
+  if (!cachedUntil || cachedUntil < Date.now()) {
+    if (!(await bcrypt.compare(match[2], entry.hash))) return null;
+    verified.set(cacheKey, Date.now() + VERIFY_CACHE_MS);
+  }
+
+  return {
+    clientId: `key:${entry.id}`,
+    name: entry.name,
+    scopes: entry.scopes,
+    type: 'api-key',
+    expiresAt: entry.expiresAt
+  };
+};
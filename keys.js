@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+import { createKey, listKeys, rotateKey, revokeKey } from './keyStore.js';
+
+// API key management:
+//   npm run keys -- create <name> [--scopes trains:read,pnr:read] [--expires 2025-12-31]
+//   npm run keys -- list
+//   npm run keys -- rotate <id> [--overlap <seconds>]
+//   npm run keys -- revoke <id>
+
+const [command, ...rest] = process.argv.slice(2);
+
+const option = (name) => {
+  const index = rest.indexOf(`--${name}`);
+  return index === -1 ? undefined : rest[index + 1];
+};
+
+const positional = rest.find((value, index) => !value.startsWith('--') && !rest[index - 1]?.startsWith('--'));
+
+const commands = {
+  async create() {
+    const key = await createKey({
+      name: positional,
+      scopes: option('scopes') ? option('scopes').split(',') : ['*'],
+      expiresAt: option('expires')
+    });
+    console.log(JSON.stringify(key, null, 2));
+    console.error('Store this key now; it cannot be shown again.');
+  },
+  async list() {
+    console.table(listKeys());
+  },
+  async rotate() {
+    const overlap = option('overlap');
+    if (rest.includes('--overlap') && !/^\d+$/.test(overlap || '')) {
+      throw new Error(`--overlap must be a whole number of seconds, got '${overlap ?? ''}'`);
+    }
+    const key = await rotateKey(positional, overlap ? { overlapSeconds: Number(overlap) } : undefined);
+    console.log(JSON.stringify(key, null, 2));
+    console.error(`Key ${positional} stays valid until ${key.previous.expiresAt}.`);
+  },
+  async revoke() {
+    console.log(JSON.stringify(await revokeKey(positional), null, 2));
+  }
+};
+
+if (!commands[command]) {
+  console.error('Usage: npm run keys -- <create|list|rotate|revoke> [args]');
+  process.exit(1);
+}
+
+commands[command]().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
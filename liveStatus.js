@@ -0,0 +1,213 @@
+import { getLiveTrainStatus, getTrainSchedule } from './irctcService.js';
+import { normalizeLiveStatus, normalizeSchedule } from './models.js';
+import { createError } from './errors.js';
+
+// Live running status of a train, compared stop by stop with its timetable.
+// The IRCTC endpoint answers for one run of a train, named by how many days ago it
+// started. A train whose journey spans several days can have several runs on the
+// line at once, so a run is only picked without a start date when the timetable
+// leaves no doubt: the train runs within one day, or exactly one run should be
+// between its first and last stop right now. Otherwise the candidate runs are
+// returned for the caller to choose, without spending upstream quota.
+
+export const MAX_START_DAYS_AGO = 4;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+// The trend compares the current delay with the delay this many passed stops back
+const TREND_WINDOW_STOPS = 3;
+const TREND_THRESHOLD_MINUTES = 5;
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+};
+
+const clockMinutes = (time) => (time ? Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5)) : null);
+
+// Minutes since midnight of the start date -> "YYYY-MM-DDTHH:MM" (IST)
+const timestamp = (date, minutes) => new Date(Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000).toISOString().slice(0, 16);
+
+const istDate = (now) => new Date(now + IST_OFFSET_MS).toISOString().split('T')[0];
+
+// Minutes from midnight (IST) of `date` until `now`
+const minutesSince = (date, now) => Math.floor((now + IST_OFFSET_MS - Date.parse(`${date}T00:00:00Z`)) / 60000);
+
+// When the run reaches a stop, in minutes since midnight of its start date
+const runMinutes = (day, time) => (time ? (day - 1) * 1440 + clockMinutes(time) : null);
+
+// Minutes between an expected and a scheduled clock time, taking the nearer day
+const clockDelay = (expected, scheduled) => (expected && scheduled
+  ? ((clockMinutes(expected) - clockMinutes(scheduled) + 720 + 1440) % 1440) - 720
+  : null);
+
+/**
+ * Runs of a train that may be on the line at `now`, most recent first. Each has its
+ * `startDay` (days ago) and where the timetable puts it: not_started, running or completed.
+ */
+export const runCandidates = (schedule, now = Date.now()) => {
+  const first = schedule.stops[0];
+  const last = schedule.stops[schedule.stops.length - 1];
+  const departs = runMinutes(first.day, first.departure || first.arrival);
+  const arrives = runMinutes(last.day, last.arrival || last.departure);
+  const today = istDate(now);
+
+  return Array.from({ length: Math.min(last.day - 1, MAX_START_DAYS_AGO) + 1 }, (_, startDay) => {
+    const startDate = addDays(today, -startDay);
+    const elapsed = minutesSince(startDate, now);
+    return {
+      startDate,
+      startDay,
+      scheduledDeparture: timestamp(startDate, departs),
+      scheduledArrival: timestamp(startDate, arrives),
+      timetableState: elapsed < departs ? 'not_started' : elapsed <= arrives ? 'running' : 'completed'
+    };
+  });
+};
+
+// The timetable joined with the live report. Live times are actual at passed stops
+// and expected at the rest; stops upstream did not report have none
+const buildTimeline = (schedule, live, startDate) => {
+  const reported = new Map(live.stops.map(stop => [stop.code, stop]));
+  const currentIndex = schedule.stops.findIndex(stop => stop.code === live.currentStation?.code);
+  const lastPassed = schedule.stops.reduce((found, stop, index) => (reported.get(stop.code)?.passed ? index : found), -1);
+  const position = Math.max(currentIndex, lastPassed);
+  const lastIndex = schedule.stops.length - 1;
+
+  const statusAt = (index) => {
+    if (live.atDestination && index === lastIndex) return 'arrived';
+    if (index < position || (index === position && index !== currentIndex)) return 'departed';
+    return index === position ? 'current' : 'upcoming';
+  };
+
+  return schedule.stops.map((stop, index) => {
+    const report = reported.get(stop.code);
+    const arrivalAt = runMinutes(stop.day, stop.arrival);
+    const departureAt = runMinutes(stop.day, stop.departure);
+    const arrivalDelay = report ? report.arrivalDelayMinutes ?? clockDelay(report.expectedArrival, stop.arrival) : null;
+    const departureDelay = report ? report.departureDelayMinutes ?? clockDelay(report.expectedDeparture, stop.departure) ?? arrivalDelay : null;
+    return {
+      sequence: stop.sequence,
+      code: stop.code,
+      name: stop.name,
+      day: stop.day,
+      scheduledArrival: arrivalAt === null ? null : timestamp(startDate, arrivalAt),
+      scheduledDeparture: departureAt === null ? null : timestamp(startDate, departureAt),
+      liveArrival: arrivalAt === null || arrivalDelay === null ? null : timestamp(startDate, arrivalAt + arrivalDelay),
+      liveDeparture: departureAt === null || departureDelay === null ? null : timestamp(startDate, departureAt + departureDelay),
+      delayMinutes: arrivalDelay ?? departureDelay,
+      platform: report?.platform ?? stop.platform,
+      status: statusAt(index)
+    };
+  });
+};
+
+// Delay at the origin, the worst so far, and whether the train has been making up
+// time or losing it over the last few stops it passed
+const analyseDelay = (timeline, currentDelay) => {
+  const passed = timeline.filter(stop => stop.status !== 'upcoming' && stop.delayMinutes !== null);
+  const current = currentDelay ?? (passed.length > 0 ? passed[passed.length - 1].delayMinutes : null);
+  if (passed.length === 0) {
+    return { currentMinutes: current, atOriginMinutes: null, maxMinutes: current, changeMinutes: null, trend: null };
+  }
+
+  const earlier = passed[Math.max(0, passed.length - 1 - TREND_WINDOW_STOPS)];
+  const change = current - earlier.delayMinutes;
+  let trend = 'steady';
+  if (change <= -TREND_THRESHOLD_MINUTES) trend = 'recovering';
+  if (change >= TREND_THRESHOLD_MINUTES) trend = 'losing_time';
+  return {
+    currentMinutes: current,
+    atOriginMinutes: timeline[0].status !== 'upcoming' ? timeline[0].delayMinutes : null,
+    maxMinutes: Math.max(current, ...passed.map(stop => stop.delayMinutes)),
+    changeMinutes: passed.length > 1 || currentDelay !== null ? change : null,
+    trend: passed.length > 1 || currentDelay !== null ? trend : null
+  };
+};
+
+// Arrival at the chosen station: the live time where upstream gave one, otherwise
+// the timetable plus the current delay (`projected`)
+const stationArrival = (timeline, code, currentDelay) => {
+  const stop = timeline.find(entry => entry.code === code);
+  const scheduled = stop.scheduledArrival || stop.scheduledDeparture;
+  const live = stop.liveArrival || stop.liveDeparture;
+  const projected = !live && stop.status === 'upcoming' && scheduled !== null && currentDelay !== null;
+  return {
+    code: stop.code,
+    name: stop.name,
+    status: stop.status,
+    scheduledArrival: scheduled,
+    expectedArrival: projected ? timestamp(scheduled.slice(0, 10), clockMinutes(scheduled.slice(11)) + currentDelay) : live,
+    delayMinutes: projected ? currentDelay : stop.delayMinutes,
+    projected,
+    platform: stop.platform
+  };
+};
+
+/**
+ * Live status of a train with a per-stop delay timeline.
+ * `startDate` (YYYY-MM-DD, IST) names the run; without it the run is picked from the
+ * timetable when possible, and `candidates` lists the runs to choose from otherwise
+ * (with `status` null). `station` is a station code on the route to report the
+ * expected arrival for.
+ */
+export const getLiveStatus = async ({ trainNo, startDate, station }, { now = Date.now() } = {}) => {
+  const schedule = normalizeSchedule((await getTrainSchedule(trainNo)).data, trainNo);
+  if (schedule.stops.length === 0) {
+    throw createError('NOT_FOUND', `No schedule found for train ${trainNo}`);
+  }
+  if (station && !schedule.stops.some(stop => stop.code === station)) {
+    throw createError('VALIDATION_ERROR', `Station ${station} is not a stop of train ${trainNo}`, {
+      details: [`station: ${station} is not on the route (${schedule.stops.map(stop => stop.code).join(', ')})`]
+    });
+  }
+
+  const today = istDate(now);
+  const candidates = runCandidates(schedule, now);
+  let run;
+  if (startDate) {
+    const startDay = Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+    if (startDay < 0 || startDay > MAX_START_DAYS_AGO) {
+      throw createError('VALIDATION_ERROR', `No live status for runs starting on ${startDate}`, {
+        details: [`startDate: must be between ${addDays(today, -MAX_START_DAYS_AGO)} and ${today}`]
+      });
+    }
+    run = { startDate, startDay };
+  } else {
+    const running = candidates.filter(candidate => candidate.timetableState === 'running');
+    if (candidates.length === 1) run = candidates[0];
+    else if (running.length === 1) run = running[0];
+  }
+
+  const base = {
+    trainNo,
+    trainName: schedule.trainName,
+    startDate: run ? run.startDate : null,
+    startDateInferred: !startDate && run !== undefined,
+    candidates: startDate ? null : candidates
+  };
+  if (!run) {
+    return { ...base, status: null, station: null, delay: null, timeline: [] };
+  }
+
+  const live = normalizeLiveStatus((await getLiveTrainStatus(trainNo, run.startDay)).data, trainNo);
+  const timeline = buildTimeline(schedule, live, run.startDate);
+  const delay = analyseDelay(timeline, live.delayMinutes);
+  return {
+    ...base,
+    trainName: live.trainName || schedule.trainName,
+    status: {
+      currentStation: live.currentStation,
+      statusText: live.statusText,
+      asOf: live.asOf,
+      delayMinutes: delay.currentMinutes,
+      atSource: live.atSource,
+      atDestination: live.atDestination,
+      runsOnStartDate: live.runsOnStartDate
+    },
+    station: station ? stationArrival(timeline, station, delay.currentMinutes) : null,
+    delay,
+    timeline
+  };
+};
+
+export default getLiveStatus;
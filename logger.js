@@ -0,0 +1,76 @@
+import winston from 'winston';
+import { config } from './config.js';
+import { getRequestContext } from './requestContext.js';
+
+// Structured JSON logging.
+// Every entry carries the current request's `requestId` and `clientId` (from the
+// request context), and secrets are redacted: values under sensitive keys, bearer
+// tokens and JWTs in strings, and the configured credentials wherever they appear.
+
+const SENSITIVE_KEY = /(authorization|api[-_]?key|x-rapidapi-key|token|secret|password|cookie|signature)/i;
+const BEARER = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+const REDACTED = '[REDACTED]';
+
+// Configured credentials long enough not to match ordinary words
+const SECRET_VALUES = [config.rapidApiKey, config.apiBearerToken, config.jwtSecret, config.pnrWebhookSecret]
+  .filter(value => value && value.length >= 8);
+
+const redactString = (value) => SECRET_VALUES.reduce(
+  (text, secret) => text.split(secret).join(REDACTED),
+  value.replace(BEARER, `$1 ${REDACTED}`).replace(JWT, REDACTED)
+);
+
+export const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), code: value.code, stack: value.stack && redactString(value.stack) };
+  }
+  if (value === null || typeof value !== 'object' || depth > 6) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== undefined && item !== null ? REDACTED : redact(item, depth + 1)
+  ]));
+};
+
+const withContext = winston.format((info) => {
+  const { requestId, clientId } = getRequestContext();
+  if (requestId && info.requestId === undefined) info.requestId = requestId;
+  if (clientId && info.clientId === undefined) info.clientId = clientId;
+  return info;
+});
+
+// winston keeps level and message under symbols too, so redact in place
+const redaction = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    info[key] = key !== 'level' && SENSITIVE_KEY.test(key) ? REDACTED : redact(info[key]);
+  });
+  return info;
+});
+
+const LEVELS = Object.keys(winston.config.npm.levels);
+
+const consoleTransport = new winston.transports.Console();
+
+export const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    withContext(),
+    winston.format.errors({ stack: true }),
+    redaction(),
+    winston.format.json()
+  ),
+  transports: [consoleTransport]
+});
+
+// stdout carries the JSON-RPC stream when running over stdio
+export const logToStderr = () => {
+  consoleTransport.stderrLevels = Object.fromEntries(LEVELS.map(level => [level, true]));
+};
+
+// A logger whose entries are tagged with `component`
+export const getLogger = (component) => logger.child({ component });
+
+export default logger;
@@ -0,0 +1,423 @@
+import { validate } from './schemaValidator.js';
+import { removeListeners } from './pnrWatch.js';
+import {
+  RESOURCE_TEMPLATES,
+  readResource,
+  resourceScope,
+  subscribe,
+  unsubscribe,
+  unsubscribeAll,
+  listSubscribedResources
+} from './resources.js';
+import { listPrompts, getPrompt, complete } from './prompts.js';
+import { runWithRequestContext, getRequestContext, newRequestId } from './requestContext.js';
+import { listTools, getTool, onToolsChanged } from './toolRegistry.js';
+import { invalidArguments } from './tools/shared.js';
+import { canCallTool, canReadResource } from './scopes.js';
+import { INVALID_REQUEST, METHOD_NOT_FOUND, INVALID_PARAMS, FORBIDDEN, createError, toJsonRpcError, rpcCodeFor } from './errors.js';
+import { toolCalls, toolDuration } from './metrics.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('mcp');
+
+// JSON-RPC error codes live in errors.js: RATE_LIMITED carries `data.retryAfter` in seconds,
+// INVALID_PARAMS lists each failing field in `data.errors`, and FORBIDDEN is for tools the
+// caller's credentials do not cover
+export { RATE_LIMITED, INVALID_PARAMS, FORBIDDEN } from './errors.js';
+
+// Newest first; the first entry is offered when a client asks for an unknown version
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Messages of one batch handled at the same time; the rest wait their turn
+const BATCH_CONCURRENCY = 4;
+
+const isValidId = (id) => id === null || typeof id === 'string' || Number.isFinite(id);
+
+const rpcError = (code, message, data) => Object.assign(new Error(message), { code, data });
+
+// What tools/list shows of a tool; the handler and scope stay on the server
+const toolDefinition = ({ name, description, inputSchema, outputSchema, annotations }) => ({
+  name,
+  description,
+  inputSchema,
+  outputSchema,
+  annotations
+});
+
+// Sends notifications/progress for a request that carried `_meta.progressToken`, and
+// does nothing otherwise. `progress` must grow with every notification, so repeats are dropped
+const progressReporter = (progressToken, notify) => {
+  if (progressToken === undefined || !notify) return () => {};
+  let last = -Infinity;
+  return ({ progress, total, message }) => {
+    if (progress <= last) return;
+    last = progress;
+    notify('notifications/progress', { progressToken, progress, total, message });
+  };
+};
+
+// MCP Server Implementation
+export class MCPServer {
+  constructor() {
+    this.methods = new Map();
+    // Handshake state per connection: 'initializing' after initialize, 'ready' after notifications/initialized
+    this.lifecycles = new WeakMap();
+    // Connections that finished the handshake, for notifications every client gets: connection -> notify
+    this.connections = new Map();
+    // Requests notifications/cancelled can abort: cancellation scope -> (request id -> AbortController)
+    this.pendingRequests = new Map();
+    this.initializeMethods();
+    onToolsChanged(() => this.broadcast('notifications/tools/list_changed'));
+  }
+
+  initializeMethods() {
+    // Register all available methods
+    this.registerMethod('initialize', this.handleInitialize.bind(this));
+    this.registerMethod('tools/list', this.handleToolsList.bind(this));
+    this.registerMethod('tools/call', this.handleToolCall.bind(this));
+    this.registerMethod('resources/list', this.handleResourcesList.bind(this));
+    this.registerMethod('resources/templates/list', this.handleResourceTemplatesList.bind(this));
+    this.registerMethod('resources/read', this.handleResourceRead.bind(this));
+    this.registerMethod('resources/subscribe', this.handleResourceSubscribe.bind(this));
+    this.registerMethod('resources/unsubscribe', this.handleResourceUnsubscribe.bind(this));
+    this.registerMethod('prompts/list', this.handlePromptsList.bind(this));
+    this.registerMethod('prompts/get', this.handlePromptGet.bind(this));
+    this.registerMethod('completion/complete', this.handleComplete.bind(this));
+    this.registerMethod('notifications/initialized', this.handleInitialized.bind(this));
+    this.registerMethod('notifications/cancelled', this.handleCancelled.bind(this));
+    this.registerMethod('ping', this.handlePing.bind(this));
+  }
+
+  registerMethod(name, handler) {
+    this.methods.set(name, handler);
+  }
+
+  /**
+   * Handle a parsed JSON-RPC payload: one message or a batch.
+   * Resolves to what should be sent back, or null when nothing should be (only
+   * notifications). Batch messages run at most BATCH_CONCURRENCY at a time and
+   * their responses keep the request order; an empty batch is an invalid request.
+   */
+  async handleMessage(payload, context = {}) {
+    if (!Array.isArray(payload)) {
+      return this.handleRequest(payload, context);
+    }
+    if (payload.length === 0) {
+      return { jsonrpc: '2.0', error: toJsonRpcError(rpcError(INVALID_REQUEST, 'Invalid Request', 'Batch must not be empty')), id: null };
+    }
+
+    const responses = new Array(payload.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < payload.length) {
+        const index = next++;
+        responses[index] = await this.handleRequest(payload[index], context);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, payload.length) }, worker));
+
+    const answered = responses.filter(Boolean);
+    return answered.length > 0 ? answered : null;
+  }
+
+  /**
+   * Handle a single JSON-RPC message. Never rejects: failures become error responses,
+   * and notifications (messages without an `id`) and cancelled requests resolve to null.
+   * Requests get an AbortSignal, as `context.signal` and in the request context, that
+   * fires when the client sends notifications/cancelled for them.
+   * `context` carries transport state into the handlers: the caller's `auth`
+   * identity, the HTTP `session` (if any) and a `notify(method, params)` function
+   * for server-to-client messages.
+   */
+  async handleRequest(message, context = {}) {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+      return { jsonrpc: '2.0', error: toJsonRpcError(rpcError(INVALID_REQUEST, 'Invalid Request', 'Expected a JSON-RPC message object')), id: null };
+    }
+
+    const { jsonrpc, method, params } = message;
+    const isNotification = !('id' in message);
+    const id = isNotification || !isValidId(message.id) ? null : message.id;
+    let controller = null;
+    const fail = (error) => {
+      // The client has stopped waiting and ignores any answer
+      if (controller?.signal.aborted) {
+        log.debug('Request cancelled', { method, id });
+        return null;
+      }
+      if (isNotification) {
+        // Notifications the server does not handle are ignored, as the spec allows
+        log[error.code === METHOD_NOT_FOUND ? 'debug' : 'warn']('Notification not handled', { method, code: error.code, error: error.message });
+        return null;
+      }
+      // Classified service errors map to their own codes; see errors.js
+      return { jsonrpc: '2.0', error: toJsonRpcError(error), id };
+    };
+
+    // The checks run before the first await so the messages of a batch change lifecycle state in order
+    try {
+      if (jsonrpc !== '2.0') {
+        throw rpcError(INVALID_REQUEST, 'Invalid Request', 'jsonrpc must be "2.0"');
+      }
+      if (!isNotification && !isValidId(message.id)) {
+        throw rpcError(INVALID_REQUEST, 'Invalid Request', 'id must be a string, a number or null');
+      }
+      if (typeof method !== 'string') {
+        throw rpcError(INVALID_REQUEST, 'Invalid Request', 'method must be a string');
+      }
+      if (params !== undefined && (params === null || typeof params !== 'object')) {
+        throw rpcError(INVALID_REQUEST, 'Invalid Request', 'params must be an object or an array');
+      }
+      const handler = this.methods.get(method);
+      if (!handler) {
+        throw rpcError(METHOD_NOT_FOUND, 'Method not found', `The method '${method}' does not exist`);
+      }
+      this.advanceLifecycle(method, context);
+
+      // initialize is the one request that cannot be cancelled
+      if (!isNotification && method !== 'initialize') {
+        controller = this.trackRequest(id, context);
+      }
+      const signal = controller?.signal;
+
+      // Keep the HTTP request's ID so log lines from the tool and the upstream call correlate
+      const result = await runWithRequestContext(
+        { requestId: getRequestContext().requestId || newRequestId(), clientId: context.auth?.clientId || 'anonymous', signal },
+        () => handler(params || {}, signal ? { ...context, signal } : context)
+      );
+      if (signal?.aborted) return fail(signal.reason);
+      return isNotification ? null : { jsonrpc: '2.0', result, id };
+    } catch (error) {
+      return fail(error);
+    } finally {
+      if (controller) this.untrackRequest(id, context, controller);
+    }
+  }
+
+  // Cancellation
+  // Request ids are only unique per connection; sessionless HTTP callers are told apart by client id
+  cancellationScope(context) {
+    return this.connectionKey(context) || context.auth?.clientId || 'anonymous';
+  }
+
+  trackRequest(id, context) {
+    const scope = this.cancellationScope(context);
+    if (!this.pendingRequests.has(scope)) this.pendingRequests.set(scope, new Map());
+    const controller = new AbortController();
+    this.pendingRequests.get(scope).set(id, controller);
+    return controller;
+  }
+
+  untrackRequest(id, context, controller) {
+    const scope = this.cancellationScope(context);
+    const pending = this.pendingRequests.get(scope);
+    if (pending?.get(id) !== controller) return;
+    pending.delete(id);
+    if (pending.size === 0) this.pendingRequests.delete(scope);
+  }
+
+  // notifications/cancelled: abort the named request if it is still running
+  async handleCancelled({ requestId, reason }, context = {}) {
+    const controller = this.pendingRequests.get(this.cancellationScope(context))?.get(requestId);
+    if (controller) {
+      log.info('Cancelling request', { cancelledId: requestId, reason });
+      controller.abort(createError('REQUEST_CANCELLED', reason ? `Request cancelled: ${reason}` : 'Request cancelled'));
+    }
+    return null;
+  }
+
+  // Lifecycle
+  // A connection is the HTTP session, or the notify function of a stdio connection (the
+  // same keys subscriptions use). Sessionless HTTP requests have no connection and are
+  // not held to the handshake.
+  connectionKey({ session, notify } = {}) {
+    return session || notify;
+  }
+
+  // Enforce initialize -> notifications/initialized before anything else but ping
+  advanceLifecycle(method, context) {
+    const key = this.connectionKey(context);
+    if (!key) return;
+    const state = this.lifecycles.get(key);
+
+    if (method === 'initialize') {
+      if (state) throw rpcError(INVALID_REQUEST, 'Already initialized', 'initialize may only be sent once per connection');
+      this.lifecycles.set(key, 'initializing');
+      return;
+    }
+    if (method === 'notifications/initialized') {
+      if (state !== 'initializing') throw rpcError(INVALID_REQUEST, 'Not initializing', 'notifications/initialized must follow initialize');
+      this.lifecycles.set(key, 'ready');
+      this.trackConnection(context);
+      return;
+    }
+    if (state !== 'ready' && method !== 'ping') {
+      throw rpcError(INVALID_REQUEST, 'Server not initialized', state
+        ? 'Send notifications/initialized before other requests'
+        : 'Send initialize before other requests');
+    }
+  }
+
+  // Remember a connection that finished the handshake. When a session closes, its
+  // resource subscriptions and PNR watch listeners go with it
+  trackConnection({ session, notify }) {
+    if (!session) {
+      this.connections.set(notify, notify);
+      return;
+    }
+    this.connections.set(session, session.notify.bind(session));
+    session.once('close', () => {
+      this.connections.delete(session);
+      unsubscribeAll(session);
+      removeListeners(session);
+    });
+  }
+
+  broadcast(method, params) {
+    this.connections.forEach(notify => notify(method, params));
+  }
+
+  // MCP Method Handlers
+  async handleInitialize({ protocolVersion, clientInfo }, { session } = {}) {
+    const negotiatedVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+      ? protocolVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    if (session) {
+      session.protocolVersion = negotiatedVersion;
+      session.clientInfo = clientInfo;
+    }
+
+    return {
+      protocolVersion: negotiatedVersion,
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: false },
+        prompts: { listChanged: false },
+        completions: {},
+        logging: {}
+      },
+      serverInfo: {
+        name: 'mcp-train-flight-server',
+        version: '1.0.0'
+      }
+    };
+  }
+
+  async handleToolsList(params, { auth } = {}) {
+    return {
+      tools: listTools().filter(tool => !auth || canCallTool(auth, tool)).map(toolDefinition)
+    };
+  }
+
+  // `context.auth` is the authenticated caller; handlers receive it alongside their arguments.
+  // Unknown and disabled tools are invalid params, as the MCP spec suggests
+  async handleToolCall({ name, arguments: args = {}, _meta }, context = {}) {
+    const tool = getTool(name);
+    if (!tool) {
+      throw rpcError(INVALID_PARAMS, `Unknown tool: ${name}`, { tool: name, errors: [{ field: 'name', message: 'is not an available tool' }] });
+    }
+    if (context.auth && !canCallTool(context.auth, tool)) {
+      throw rpcError(FORBIDDEN, `Forbidden: credentials for '${context.auth.name || context.auth.clientId}' do not allow tool '${name}'`, { tool: name });
+    }
+
+    const startedAt = process.hrtime.bigint();
+    let outcome = 'ok';
+    try {
+      const progressToken = _meta?.progressToken;
+      return await this.callTool(tool, args, { ...context, progressToken, progress: progressReporter(progressToken, context.notify) });
+    } catch (error) {
+      outcome = typeof error.code === 'string' ? error.code : String(rpcCodeFor(error));
+      throw error;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      toolCalls.inc({ tool: name, outcome });
+      toolDuration.observe({ tool: name }, seconds);
+      log.info('Tool call', { tool: name, outcome, durationMs: Math.round(seconds * 1000) });
+    }
+  }
+
+  // Arguments are checked against the tool's inputSchema before its handler runs
+  async callTool(tool, args, context) {
+    const errors = validate(tool.inputSchema, args);
+    if (errors.length > 0) {
+      throw invalidArguments(tool.name, errors);
+    }
+    return tool.handler(args, context);
+  }
+
+  // Resource handlers
+  // Subscriptions belong to the HTTP session, or to the connection itself for stdio
+  subscriberFor({ session, notify }) {
+    if (session) {
+      return { key: session, notify: session.notify.bind(session) };
+    }
+    if (!notify) {
+      const error = new Error('Resource subscriptions require a session (send Mcp-Session-Id) or the stdio transport');
+      error.code = -32600;
+      throw error;
+    }
+    return { key: notify, notify };
+  }
+
+  async handleResourcesList(params, context = {}) {
+    const key = context.session || context.notify;
+    return { resources: key ? listSubscribedResources(key) : [] };
+  }
+
+  async handleResourceTemplatesList() {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  }
+
+  // Reading and subscribing need the same scope as the tools returning that data
+  checkResourceScope(uri, { auth }) {
+    const scope = resourceScope(uri);
+    if (auth && !canReadResource(auth, scope)) {
+      throw rpcError(FORBIDDEN, `Forbidden: credentials for '${auth.name || auth.clientId}' do not allow resource '${uri}'`, { uri, scope });
+    }
+  }
+
+  async handleResourceRead({ uri }, context = {}) {
+    this.checkResourceScope(uri, context);
+    return await readResource(uri);
+  }
+
+  async handleResourceSubscribe({ uri }, context = {}) {
+    this.checkResourceScope(uri, context);
+    const { key, notify } = this.subscriberFor(context);
+    await subscribe(uri, key, notify);
+    return {};
+  }
+
+  async handleResourceUnsubscribe({ uri }, context = {}) {
+    const { key } = this.subscriberFor(context);
+    unsubscribe(uri, key);
+    return {};
+  }
+
+  // Prompt handlers
+  async handlePromptsList() {
+    return { prompts: listPrompts() };
+  }
+
+  async handlePromptGet({ name, arguments: args }) {
+    return getPrompt(name, args);
+  }
+
+  async handleComplete(params) {
+    return complete(params);
+  }
+
+  async handleInitialized() {
+    // The handshake state is advanced by advanceLifecycle; notifications get no response
+    return null;
+  }
+
+  async handlePing() {
+    return 'pong';
+  }
+}
+
+// Shared instance used by every transport (HTTP, stdio)
+export const mcpServer = new MCPServer();
+
+export default mcpServer;
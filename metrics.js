@@ -0,0 +1,104 @@
+// In-process metrics in the Prometheus text exposition format, served on GET /metrics.
+// Counters and histograms are keyed by their label values; there is no client
+// library, only the handful of metric types this server needs.
+
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = new Map();
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels, extra = {}) => {
+  const entries = [...Object.entries(labels), ...Object.entries(extra)];
+  return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const register = (name, type, help, extra = {}) => {
+  const metric = { name, type, help, series: new Map(), ...extra };
+  metrics.set(name, metric);
+  return metric;
+};
+
+const seriesFor = (metric, labels, create) => {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+  return metric.series.get(key);
+};
+
+export const counter = (name, help) => {
+  const metric = register(name, 'counter', help);
+  return {
+    inc(labels = {}, amount = 1) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+    }
+  };
+};
+
+export const histogram = (name, help, buckets = DURATION_BUCKETS) => {
+  const metric = register(name, 'histogram', help, { buckets });
+  return {
+    observe(labels = {}, value) {
+      const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+    }
+  };
+};
+
+// Gauges are read when scraped
+export const gauge = (name, help, collect) => {
+  register(name, 'gauge', help, { collect });
+};
+
+export const renderMetrics = () => {
+  const lines = [];
+  metrics.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    if (metric.type === 'gauge') {
+      const values = metric.collect();
+      (Array.isArray(values) ? values : [{ labels: {}, value: values }])
+        .forEach(({ labels, value }) => lines.push(`${metric.name}${formatLabels(labels)} ${value}`));
+      return;
+    }
+    metric.series.forEach(series => {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(series.labels, { le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// The metrics this server records
+export const toolCalls = counter('mcp_tool_calls_total', 'MCP tool calls by tool and outcome (ok or the error code)');
+export const toolDuration = histogram('mcp_tool_duration_seconds', 'MCP tool call latency in seconds');
+export const upstreamResponses = counter('irctc_upstream_responses_total', 'IRCTC API calls by endpoint and HTTP status (or error code when there was no response)');
+export const upstreamDuration = histogram('irctc_upstream_duration_seconds', 'IRCTC API call latency in seconds');
+export const cacheLookups = counter('irctc_cache_lookups_total', 'IRCTC response cache lookups by endpoint and result (hit, miss, stale, coalesced)');
+export const rateLimitRejections = counter('rate_limit_rejections_total', 'Requests rejected by a rate limit, by scope (client, upstream, http)');
+export const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status');
+
+gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+
+export default {
+  renderMetrics,
+  toolCalls,
+  toolDuration,
+  upstreamResponses,
+  upstreamDuration,
+  cacheLookups,
+  rateLimitRejections,
+  httpRequests
+};
@@ -0,0 +1,438 @@
+// Normalizers that turn raw IRCTC (RapidAPI) payloads into stable domain shapes,
+// plus the JSON Schemas describing those shapes for MCP tool `outputSchema`s.
+// The upstream is inconsistent about field names across API versions, so each
+// normalizer accepts the known variants and fills missing values with null.
+
+// Unwrap the `{ status, message, data }` envelope the IRCTC API puts around every payload
+export const unwrap = (payload) => (payload && typeof payload === 'object' && 'data' in payload ? payload.data : payload);
+
+const pick = (source, ...keys) => {
+  for (const key of keys) {
+    if (source?.[key] !== undefined && source[key] !== null && source[key] !== '') return source[key];
+  }
+  return null;
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || Number.isNaN(number) ? null : number;
+};
+
+// "HH:MM", minutes since midnight, or markers like "Source"/"--" -> "HH:MM" | null
+export const normalizeTime = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const minutes = ((value % 1440) + 1440) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+  const match = typeof value === 'string' && value.match(/^(\d{1,2})[:.](\d{2})/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+};
+
+// "15:40", "15h 40m" or minutes -> minutes
+export const durationToMinutes = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const clock = value.match(/^(\d+):(\d{2})$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+  const words = value.match(/(?:(\d+)\s*h\w*)?\s*(?:(\d+)\s*m\w*)?/i);
+  return words && (words[1] || words[2]) ? Number(words[1] || 0) * 60 + Number(words[2] || 0) : null;
+};
+
+// "25-12-2023", "25/12/2023", "2023-12-25" or "20231225" -> "2023-12-25" | null
+export const normalizeDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const dayFirst = value.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})/);
+  if (dayFirst) return `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`;
+  const iso = value.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+};
+
+const asArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return [value];
+  return [];
+};
+
+/**
+ * Station: { code, name, city, state }
+ */
+export const normalizeStation = (raw) => ({
+  code: pick(raw, 'code', 'station_code', 'stationCode'),
+  name: pick(raw, 'name', 'eng_name', 'station_name', 'stationName'),
+  city: pick(raw, 'city'),
+  state: pick(raw, 'state_name', 'state')
+});
+
+export const normalizeStations = (payload) => asArray(unwrap(payload)).map(normalizeStation);
+
+/**
+ * Train (as listed between two stations)
+ */
+export const normalizeTrain = (raw) => {
+  const departureDay = toNumber(pick(raw, 'from_day', 'd_day')) ?? 0;
+  const arrivalDay = toNumber(pick(raw, 'to_day')) ?? departureDay;
+  return {
+    number: String(pick(raw, 'train_number', 'train_no', 'trainNo') ?? ''),
+    name: pick(raw, 'train_name', 'trainName'),
+    type: pick(raw, 'train_type'),
+    from: {
+      code: pick(raw, 'from', 'from_station_code', 'train_src'),
+      name: pick(raw, 'from_station_name')
+    },
+    to: {
+      code: pick(raw, 'to', 'to_station_code', 'train_dstn'),
+      name: pick(raw, 'to_station_name')
+    },
+    departure: normalizeTime(pick(raw, 'from_std', 'from_sta', 'departure')),
+    arrival: normalizeTime(pick(raw, 'to_sta', 'to_std', 'arrival')),
+    durationMinutes: durationToMinutes(pick(raw, 'duration')),
+    // Days between departing `from` and arriving at `to`
+    dayOffset: Math.max(0, arrivalDay - departureDay),
+    date: normalizeDate(pick(raw, 'train_date')),
+    runDays: asArray(pick(raw, 'run_days')),
+    classes: asArray(pick(raw, 'class_type', 'classes'))
+  };
+};
+
+export const normalizeTrains = (payload) => asArray(unwrap(payload)).map(normalizeTrain);
+
+/**
+ * One stop of a train's route
+ */
+export const normalizeScheduleStop = (raw, index) => {
+  const arrival = normalizeTime(pick(raw, 'sta', 'arrival_time', 'arrival'));
+  const departure = normalizeTime(pick(raw, 'std', 'departure_time', 'departure'));
+  const toMinutes = (time) => (time ? Number(time.slice(0, 2)) * 60 + Number(time.slice(3)) : null);
+  const halt = arrival && departure ? (toMinutes(departure) - toMinutes(arrival) + 1440) % 1440 : null;
+  const platform = pick(raw, 'platform_number', 'platform');
+  return {
+    sequence: index + 1,
+    code: pick(raw, 'station_code', 'stationCode', 'code'),
+    name: pick(raw, 'station_name', 'stationName', 'name'),
+    arrival,
+    departure,
+    day: toNumber(pick(raw, 'day')) ?? 1,
+    distanceKm: toNumber(pick(raw, 'distance_from_source', 'distance')),
+    platform: platform === null ? null : String(platform),
+    haltMinutes: halt
+  };
+};
+
+export const normalizeSchedule = (payload, trainNo) => {
+  const data = unwrap(payload) || {};
+  const route = Array.isArray(data) ? data : asArray(pick(data, 'route', 'stations'));
+  return {
+    trainNo: String(pick(data, 'train_number', 'trainNumber') ?? trainNo),
+    trainName: pick(data, 'train_name', 'trainName'),
+    stops: route
+      .filter(stop => stop.stop !== false)
+      .map(normalizeScheduleStop)
+  };
+};
+
+/**
+ * Parse a booking status string such as "CNF/B2/45", "RLWL/12", "RAC 5" or "AVAILABLE-0045".
+ * `state` is one of CNF, RAC, WL, AVAILABLE, CAN, REGRET or UNKNOWN.
+ */
+export const parseStatus = (value) => {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  const upper = raw.toUpperCase();
+  const number = (pattern) => {
+    const match = upper.match(pattern);
+    return match ? Number(match[1]) : null;
+  };
+
+  if (!raw) return { state: 'UNKNOWN', position: null, coach: null, berth: null, raw: value ?? null };
+  if (/^(CAN|CANCELLED)/.test(upper)) return { state: 'CAN', position: null, coach: null, berth: null, raw };
+  if (/REGRET|NOT AVAILABLE|TRAIN DEPARTED/.test(upper)) return { state: 'REGRET', position: null, coach: null, berth: null, raw };
+  if (/^(AVAILABLE|AVL|CURR_AVBL)/.test(upper)) {
+    return { state: 'AVAILABLE', position: number(/(\d+)/), coach: null, berth: null, raw };
+  }
+  if (/^RAC/.test(upper)) {
+    return { state: 'RAC', position: number(/^RAC\s*\/?\s*(\d+)/), coach: null, berth: null, raw };
+  }
+  if (/WL/.test(upper)) {
+    // "GNWL12/WL5": the last number is the current position
+    const positions = upper.match(/\d+/g) || [];
+    return { state: 'WL', position: positions.length ? Number(positions[positions.length - 1]) : null, coach: null, berth: null, raw };
+  }
+  if (/^(CNF|CONFIRMED|[A-Z]{1,2}\d+)/.test(upper)) {
+    const parts = upper.replace(/^(CNF|CONFIRMED)\s*\/?\s*/, '').split(/[\s/,]+/).filter(Boolean);
+    return { state: 'CNF', position: null, coach: parts[0] || null, berth: parts[1] ? Number(parts[1]) || parts[1] : null, raw };
+  }
+  return { state: 'UNKNOWN', position: null, coach: null, berth: null, raw };
+};
+
+/**
+ * Seat availability for one travel date
+ */
+export const normalizeAvailabilityDay = (raw) => {
+  const status = parseStatus(pick(raw, 'current_status', 'status', 'availablity_status', 'availability_status'));
+  return {
+    date: normalizeDate(pick(raw, 'date', 'availablity_date', 'availability_date')),
+    status: status.state,
+    seats: status.state === 'AVAILABLE' ? status.position : null,
+    waitlistPosition: status.state === 'WL' || status.state === 'RAC' ? status.position : null,
+    statusText: status.raw,
+    fare: toNumber(pick(raw, 'total_fare', 'ticket_fare', 'fare')),
+    confirmProbability: toNumber(pick(raw, 'confirm_probability_percent'))
+  };
+};
+
+export const normalizeSeatAvailability = (payload, { trainNo, from, to, classType, quota }) => ({
+  trainNo,
+  from,
+  to,
+  classType,
+  quota,
+  days: asArray(unwrap(payload)).map(normalizeAvailabilityDay)
+});
+
+const normalizePassenger = (raw, index) => {
+  const booking = parseStatus(pick(raw, 'BookingStatusNew', 'BookingStatusDetails', 'BookingStatus'));
+  const current = parseStatus(pick(raw, 'CurrentStatusNew', 'CurrentStatusDetails', 'CurrentStatus'));
+  return {
+    number: toNumber(pick(raw, 'Number', 'number')) ?? index + 1,
+    booking: {
+      ...booking,
+      coach: pick(raw, 'BookingCoachId') ?? booking.coach,
+      berth: toNumber(pick(raw, 'BookingBerthNo')) || booking.berth
+    },
+    current: {
+      ...current,
+      coach: pick(raw, 'CurrentCoachId') ?? current.coach,
+      berth: toNumber(pick(raw, 'CurrentBerthNo')) || current.berth
+    }
+  };
+};
+
+/**
+ * PNR status with per-passenger booking and current status
+ */
+export const normalizePnrStatus = (payload, pnr) => {
+  const data = unwrap(payload) || {};
+  const trainNo = pick(data, 'TrainNo', 'trainNo', 'train_number');
+  return {
+    pnr: String(pick(data, 'Pnr', 'pnr', 'PnrNumber') ?? pnr),
+    trainNo: trainNo === null ? null : String(trainNo),
+    trainName: pick(data, 'TrainName', 'trainName', 'train_name'),
+    journeyDate: normalizeDate(pick(data, 'Doj', 'SourceDoj', 'dateOfJourney')),
+    from: pick(data, 'From', 'BoardingPoint', 'from'),
+    to: pick(data, 'To', 'ReservationUpto', 'to'),
+    boardingPoint: pick(data, 'BoardingPoint', 'boardingPoint'),
+    reservationUpto: pick(data, 'ReservationUpto', 'reservationUpto'),
+    classType: pick(data, 'Class', 'class', 'JourneyClass'),
+    quota: pick(data, 'Quota', 'quota'),
+    chartPrepared: Boolean(pick(data, 'ChartPrepared', 'chartPrepared', 'chart_prepared')),
+    cancelled: Boolean(pick(data, 'TrainCancelledFlag', 'trainCancelled')),
+    passengers: asArray(pick(data, 'PassengerStatus', 'passengerList', 'passengers')).map(normalizePassenger)
+  };
+};
+
+// A station in a live status report; upstream marks "no platform" as 0
+const normalizeLiveStop = (raw, passed) => {
+  const platform = pick(raw, 'platform_number', 'platform');
+  return {
+    code: pick(raw, 'station_code', 'stationCode', 'code'),
+    name: pick(raw, 'station_name', 'stationName', 'name'),
+    scheduledArrival: normalizeTime(pick(raw, 'sta')),
+    scheduledDeparture: normalizeTime(pick(raw, 'std')),
+    expectedArrival: normalizeTime(pick(raw, 'eta', 'actual_arrival')),
+    expectedDeparture: normalizeTime(pick(raw, 'etd', 'actual_departure')),
+    arrivalDelayMinutes: toNumber(pick(raw, 'arrival_delay', 'delay')),
+    departureDelayMinutes: toNumber(pick(raw, 'departure_delay')),
+    platform: platform === null || String(platform) === '0' ? null : String(platform),
+    distanceKm: toNumber(pick(raw, 'distance_from_source', 'distance')),
+    passed
+  };
+};
+
+/**
+ * Live running status of one run of a train. `stops` lists the stations upstream
+ * reported, passed ones first; times are "HH:MM" (IST)
+ */
+export const normalizeLiveStatus = (payload, trainNo) => {
+  const data = unwrap(payload) || {};
+  const currentCode = pick(data, 'current_station_code', 'currentStationCode');
+  const statusText = pick(data, 'status', 'title');
+  const runDay = pick(data, 'is_run_day', 'isRunDay');
+  return {
+    trainNo: String(pick(data, 'train_number', 'trainNumber') ?? trainNo),
+    trainName: pick(data, 'train_name', 'trainName'),
+    startDate: normalizeDate(pick(data, 'train_start_date', 'trainStartDate', 'start_date')),
+    runsOnStartDate: runDay === null ? null : Boolean(runDay),
+    currentStation: currentCode ? { code: currentCode, name: pick(data, 'current_station_name', 'currentStationName') } : null,
+    statusText: typeof statusText === 'string' ? statusText : null,
+    asOf: pick(data, 'status_as_of', 'statusAsOf'),
+    delayMinutes: toNumber(pick(data, 'delay', 'late_minutes')),
+    atSource: Boolean(pick(data, 'at_src', 'atSource')),
+    atDestination: Boolean(pick(data, 'at_dstn', 'atDestination')),
+    stops: [
+      ...asArray(pick(data, 'previous_stations', 'previousStations')).map(stop => normalizeLiveStop(stop, true)),
+      ...asArray(pick(data, 'upcoming_stations', 'upcomingStations')).map(stop => normalizeLiveStop(stop, false))
+    ].filter(stop => stop.code)
+  };
+};
+
+// A train on a live station board; the train's origin has no arrival and its destination no departure
+const normalizeBoardTrain = (raw) => {
+  const trainNo = pick(raw, 'trainNumber', 'train_number', 'trainNo');
+  const platform = pick(raw, 'platform', 'platform_number', 'platformNumber');
+  return {
+    trainNo: trainNo === null ? null : String(trainNo),
+    trainName: pick(raw, 'trainName', 'train_name'),
+    type: pick(raw, 'trainType', 'train_type', 'type'),
+    from: {
+      code: pick(raw, 'sourceStationCode', 'source_stn_code', 'train_src'),
+      name: pick(raw, 'sourceStationName', 'source_stn_name', 'train_src_name')
+    },
+    to: {
+      code: pick(raw, 'destinationStationCode', 'dstn_stn_code', 'train_dstn'),
+      name: pick(raw, 'destinationStationName', 'dstn_stn_name', 'train_dstn_name')
+    },
+    scheduledArrival: normalizeTime(pick(raw, 'sta', 'arrivalTime', 'scheduledArrival')),
+    scheduledDeparture: normalizeTime(pick(raw, 'std', 'departureTime', 'scheduledDeparture')),
+    expectedArrival: normalizeTime(pick(raw, 'eta', 'expectedArrivalTime', 'expectedArrival')),
+    expectedDeparture: normalizeTime(pick(raw, 'etd', 'expectedDepartureTime', 'expectedDeparture')),
+    arrivalDelayMinutes: toNumber(pick(raw, 'arrivalDelay', 'arrival_delay', 'delayArrival')),
+    departureDelayMinutes: toNumber(pick(raw, 'departureDelay', 'departure_delay', 'delayDeparture')),
+    platform: platform === null || String(platform) === '0' ? null : String(platform)
+  };
+};
+
+/**
+ * Trains due at a station in the coming hours, as listed upstream. Times are "HH:MM" (IST)
+ */
+export const normalizeStationBoard = (payload) => asArray(unwrap(payload)).map(normalizeBoardTrain).filter(train => train.trainNo);
+
+// Reservation classes and quotas accepted by the availability endpoints
+export const CLASS_TYPES = ['SL', '3A', '2A', '1A', '3E', 'CC', 'EC', '2S'];
+export const QUOTAS = ['GN', 'TQ', 'PT', 'LD', 'SS'];
+
+// JSON Schemas
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const statusSchema = {
+  type: 'object',
+  properties: {
+    state: { type: 'string', enum: ['CNF', 'RAC', 'WL', 'AVAILABLE', 'CAN', 'REGRET', 'UNKNOWN'] },
+    position: nullable('integer'),
+    coach: nullable('string'),
+    berth: { type: ['integer', 'string', 'null'] },
+    raw: nullable('string')
+  },
+  required: ['state']
+};
+
+export const stationSchema = {
+  type: 'object',
+  properties: {
+    code: nullable('string'),
+    name: nullable('string'),
+    city: nullable('string'),
+    state: nullable('string')
+  },
+  required: ['code', 'name']
+};
+
+// Station arguments that could not be resolved to a single code, keyed by argument name
+export const unresolvedStationsSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      input: { type: 'string' },
+      status: { type: 'string', enum: ['ambiguous', 'not_found'] },
+      candidates: { type: 'array', items: stationSchema }
+    },
+    required: ['input', 'status', 'candidates']
+  }
+};
+
+const stationRefSchema = {
+  type: 'object',
+  properties: { code: nullable('string'), name: nullable('string') }
+};
+
+export const trainSchema = {
+  type: 'object',
+  properties: {
+    number: { type: 'string' },
+    name: nullable('string'),
+    type: nullable('string'),
+    from: stationRefSchema,
+    to: stationRefSchema,
+    departure: { ...nullable('string'), description: 'HH:MM' },
+    arrival: { ...nullable('string'), description: 'HH:MM' },
+    durationMinutes: nullable('integer'),
+    dayOffset: { type: 'integer', description: 'Days between departure and arrival' },
+    date: nullable('string'),
+    runDays: { type: 'array', items: { type: 'string' } },
+    classes: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['number', 'from', 'to']
+};
+
+export const scheduleStopSchema = {
+  type: 'object',
+  properties: {
+    sequence: { type: 'integer' },
+    code: nullable('string'),
+    name: nullable('string'),
+    arrival: nullable('string'),
+    departure: nullable('string'),
+    day: { type: 'integer' },
+    distanceKm: nullable('number'),
+    platform: nullable('string'),
+    haltMinutes: nullable('integer')
+  },
+  required: ['sequence', 'code']
+};
+
+export const seatAvailabilitySchema = {
+  type: 'object',
+  properties: {
+    date: nullable('string'),
+    status: { type: 'string', enum: ['CNF', 'RAC', 'WL', 'AVAILABLE', 'CAN', 'REGRET', 'UNKNOWN'] },
+    seats: nullable('integer'),
+    waitlistPosition: nullable('integer'),
+    statusText: nullable('string'),
+    fare: nullable('number'),
+    confirmProbability: nullable('number')
+  },
+  required: ['date', 'status']
+};
+
+export const pnrStatusSchema = {
+  type: 'object',
+  properties: {
+    pnr: { type: 'string' },
+    trainNo: nullable('string'),
+    trainName: nullable('string'),
+    journeyDate: nullable('string'),
+    from: nullable('string'),
+    to: nullable('string'),
+    boardingPoint: nullable('string'),
+    reservationUpto: nullable('string'),
+    classType: nullable('string'),
+    quota: nullable('string'),
+    chartPrepared: { type: 'boolean' },
+    cancelled: { type: 'boolean' },
+    passengers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          number: { type: 'integer' },
+          booking: statusSchema,
+          current: statusSchema
+        },
+        required: ['number', 'booking', 'current']
+      }
+    }
+  },
+  required: ['pnr', 'chartPrepared', 'passengers']
+};
@@ -0,0 +1,369 @@
+import { createHmac } from 'crypto';
+import { readFileSync } from 'fs';
+import { mkdir, writeFile, rename } from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { config } from './config.js';
+import { getPNRStatus } from './irctcService.js';
+import { normalizePnrStatus } from './models.js';
+import { runWithRequestContext } from './requestContext.js';
+import { recordResourceState } from './resources.js';
+import { getLogger } from './logger.js';
+
+// PNR watch list.
+// Watches are stored in PNR_WATCH_FILE so they survive restarts. A scheduler
+// re-checks due PNRs a few at a time, under its own rate-limit client id, and
+// reports status transitions to connected MCP clients and to an optional webhook.
+
+const log = getLogger('pnr-watch');
+
+const PNR_WATCH_FILE = config.pnrWatchFile;
+const CHECK_INTERVAL_MS = config.pnrWatchIntervalMs;
+// At most this many upstream checks per scheduler tick
+const CHECKS_PER_TICK = config.pnrWatchChecksPerTick;
+const MAX_WATCHES_PER_CLIENT = config.pnrWatchMaxPerClient;
+const WEBHOOK_URL = config.pnrWebhookUrl || null;
+const WEBHOOK_SECRET = config.pnrWebhookSecret || null;
+const WEBHOOK_TIMEOUT_MS = 5000;
+// The scheduler wakes up once a minute, or more often for short check intervals
+const TICK_MS = Math.min(60 * 1000, CHECK_INTERVAL_MS);
+const SCHEDULER_CLIENT_ID = 'pnr-watch';
+// Stop watching once the journey date is this far in the past
+const JOURNEY_GRACE_MS = 24 * 60 * 60 * 1000;
+// A PNR that fails this many checks in a row (e.g. it no longer exists upstream) is
+// no longer watched. Until then the interval doubles after each failure, up to MAX_BACKOFF
+const MAX_CHECK_FAILURES = 5;
+const MAX_BACKOFF = 8;
+
+let store = null;
+// pnr -> Map(listener key -> notify function) for connected clients
+const listeners = new Map();
+let tickTimer = null;
+let ticking = false;
+// Writes run one after another; each writes the store as it is when its turn comes
+let saving = Promise.resolve();
+
+const load = () => {
+  if (store) return store;
+  try {
+    store = JSON.parse(readFileSync(PNR_WATCH_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    store = { watches: [] };
+  }
+  return store;
+};
+
+const write = async () => {
+  await mkdir(path.dirname(PNR_WATCH_FILE), { recursive: true });
+  const tempFile = `${PNR_WATCH_FILE}.${process.pid}.tmp`;
+  await writeFile(tempFile, `${JSON.stringify(store, null, 2)}\n`);
+  await rename(tempFile, PNR_WATCH_FILE);
+};
+
+// Overlapping saves would share the temp file, so they are queued behind each other
+const save = () => {
+  const next = saving.then(write);
+  saving = next.catch(() => {});
+  return next;
+};
+
+const watchError = (code, message, data) => {
+  const error = new Error(message);
+  error.code = code;
+  error.data = data;
+  return error;
+};
+
+const fetchStatus = async (pnr) => normalizePnrStatus((await getPNRStatus(pnr)).data, pnr);
+
+const statusLabel = (status) => {
+  if (status.state === 'CNF') return ['CNF', status.coach, status.berth].filter(Boolean).join('/');
+  return status.position ? `${status.state} ${status.position}` : status.state;
+};
+
+/**
+ * Transitions between two PNR snapshots, oldest first:
+ * status changes (WL -> RAC -> CNF, cancellations), waitlist movement,
+ * coach/berth assignment, chart preparation and train cancellation.
+ */
+export const diffPnrStatus = (previous, current) => {
+  const changes = [];
+  if (!previous) return changes;
+
+  current.passengers.forEach(passenger => {
+    const before = previous.passengers.find(candidate => candidate.number === passenger.number)?.current;
+    const after = passenger.current;
+    if (!before) return;
+
+    const change = { passenger: passenger.number, from: statusLabel(before), to: statusLabel(after) };
+    if (before.state !== after.state) {
+      changes.push({ type: 'status_changed', ...change, message: `Passenger ${passenger.number}: ${change.from} -> ${change.to}` });
+    } else if (after.state === 'CNF' && (before.coach !== after.coach || before.berth !== after.berth)) {
+      changes.push({ type: 'berth_assigned', ...change, message: `Passenger ${passenger.number}: berth ${change.to}` });
+    } else if (before.position !== after.position && after.position !== null) {
+      changes.push({ type: 'position_changed', ...change, message: `Passenger ${passenger.number}: ${change.from} -> ${change.to}` });
+    }
+  });
+
+  if (!previous.chartPrepared && current.chartPrepared) {
+    changes.push({ type: 'chart_prepared', message: 'Chart prepared' });
+  }
+  if (!previous.cancelled && current.cancelled) {
+    changes.push({ type: 'train_cancelled', message: 'Train cancelled' });
+  }
+  return changes;
+};
+
+const summarize = (status) => status.passengers
+  .map(passenger => `P${passenger.number} ${statusLabel(passenger.current)}`)
+  .join(', ') || 'no passenger details';
+
+// A watch is finished once the journey is over or nothing can change any more
+const finishedReason = (status, now = Date.now()) => {
+  if (status.cancelled) return 'train cancelled';
+  if (status.journeyDate && Date.parse(`${status.journeyDate}T23:59:59+05:30`) + JOURNEY_GRACE_MS < now) {
+    return 'journey date passed';
+  }
+  const settled = status.passengers.length > 0
+    && status.passengers.every(passenger => ['CNF', 'CAN'].includes(passenger.current.state));
+  if (status.chartPrepared && settled) return 'chart prepared and all passengers settled';
+  return null;
+};
+
+const describe = ({ pnr, createdAt, lastCheckedAt, nextCheckAt, lastStatus, lastChanges, lastError }) => ({
+  pnr,
+  createdAt,
+  lastCheckedAt,
+  nextCheckAt,
+  summary: lastStatus ? summarize(lastStatus) : null,
+  chartPrepared: lastStatus?.chartPrepared ?? false,
+  journeyDate: lastStatus?.journeyDate ?? null,
+  lastChanges: lastChanges || [],
+  lastError: lastError || null
+});
+
+const postWebhook = async (payload) => {
+  if (!WEBHOOK_URL) return;
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (WEBHOOK_SECRET) {
+    headers['X-Signature-256'] = `sha256=${createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+  try {
+    await axios.post(WEBHOOK_URL, body, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+  } catch (error) {
+    log.warn('Webhook failed', { pnr: payload.pnr, error: error.message });
+  }
+};
+
+const announce = async (watches, event, status, changes) => {
+  const { pnr } = watches[0];
+  const detectedAt = new Date().toISOString();
+  const text = event === 'pnr.watch_ended'
+    ? `PNR ${pnr}: no longer watched (${changes[0].message})`
+    : `PNR ${pnr}: ${changes.map(change => change.message).join('; ')}`;
+
+  (listeners.get(pnr) || new Map()).forEach(notify => {
+    notify('notifications/message', {
+      level: 'info',
+      logger: 'pnr-watch',
+      data: { event, pnr, changes, status, detectedAt, text }
+    });
+  });
+  recordResourceState(`irctc://pnr/${pnr}`, status);
+
+  await postWebhook({ event, pnr, owners: watches.map(watch => watch.owner), changes, status, detectedAt });
+};
+
+const endWatches = async (watches, status, reason) => {
+  const { pnr } = watches[0];
+  store.watches = store.watches.filter(watch => watch.pnr !== pnr);
+  await announce(watches, 'pnr.watch_ended', status, [{ type: 'watch_ended', message: reason }]);
+  listeners.delete(pnr);
+};
+
+const checkPnr = async (pnr) => {
+  const watches = load().watches.filter(watch => watch.pnr === pnr);
+  if (watches.length === 0) return;
+
+  const status = await fetchStatus(pnr);
+  const now = Date.now();
+  const changes = diffPnrStatus(watches[0].lastStatus, status);
+
+  watches.forEach(watch => {
+    watch.lastStatus = status;
+    watch.lastCheckedAt = new Date(now).toISOString();
+    watch.nextCheckAt = new Date(now + CHECK_INTERVAL_MS).toISOString();
+    watch.failures = 0;
+    watch.lastError = null;
+    if (changes.length > 0) watch.lastChanges = changes;
+  });
+
+  if (changes.length > 0) {
+    await announce(watches, 'pnr.changed', status, changes);
+  }
+
+  const reason = finishedReason(status, now);
+  if (reason) await endWatches(watches, status, reason);
+};
+
+// Back off after a failed check, and give up on a PNR that keeps failing
+const checkFailed = async (pnr, error) => {
+  const watches = load().watches.filter(watch => watch.pnr === pnr);
+  if (watches.length === 0) return;
+
+  const now = Date.now();
+  const failures = (watches[0].failures || 0) + 1;
+  watches.forEach(watch => {
+    watch.failures = failures;
+    watch.lastError = { code: error.code ?? null, message: error.message, at: new Date(now).toISOString() };
+    watch.nextCheckAt = new Date(now + CHECK_INTERVAL_MS * Math.min(2 ** (failures - 1), MAX_BACKOFF)).toISOString();
+  });
+
+  const status = watches[0].lastStatus;
+  const reason = failures >= MAX_CHECK_FAILURES
+    ? `status could not be checked ${failures} times in a row (${error.code || error.message})`
+    : status && finishedReason(status, now);
+  if (reason) await endWatches(watches, status, reason);
+};
+
+// Check the PNRs that are due, oldest first, a few per tick
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    const due = [...new Set(load().watches
+      .filter(watch => Date.parse(watch.nextCheckAt) <= now)
+      .sort((a, b) => Date.parse(a.nextCheckAt) - Date.parse(b.nextCheckAt))
+      .map(watch => watch.pnr))]
+      .slice(0, CHECKS_PER_TICK);
+
+    for (const pnr of due) {
+      try {
+        await runWithRequestContext({ clientId: SCHEDULER_CLIENT_ID }, () => checkPnr(pnr));
+      } catch (error) {
+        // Out of quota or the upstream is down: try the rest on a later tick
+        if (error.code === 'RATE_LIMIT_EXCEEDED' || error.code === 'CIRCUIT_OPEN') break;
+        log.warn('Failed to check PNR', { pnr, code: error.code, error: error.message });
+        await checkFailed(pnr, error);
+      }
+    }
+    if (due.length > 0) await save();
+  } catch (error) {
+    // Runs from a timer: an error here must not become an unhandled rejection
+    log.error('PNR watch scheduler tick failed', { error });
+  } finally {
+    ticking = false;
+  }
+};
+
+const startScheduler = () => {
+  if (tickTimer) return;
+  // Watches are persistent, so the timer must not keep short-lived processes (stdio) alive
+  tickTimer = setInterval(tick, TICK_MS).unref();
+};
+
+// Route change notifications for a PNR to a connected client
+export const addListener = (pnr, key, notify) => {
+  if (!listeners.has(pnr)) listeners.set(pnr, new Map());
+  listeners.get(pnr).set(key, notify);
+};
+
+// Forget a client's listeners, e.g. when its session closes (the watches stay)
+export const removeListeners = (key) => {
+  listeners.forEach((byKey, pnr) => {
+    byKey.delete(key);
+    if (byKey.size === 0) listeners.delete(pnr);
+  });
+};
+
+/**
+ * Start watching a PNR for `owner` (the caller's client id).
+ * Fetches the current status straight away so later checks have a baseline.
+ */
+export const watchPnr = async (pnr, owner) => {
+  // The limit is checked before and after the upstream call. The watch list is read
+  // again afterwards because checks and unwatches replace it in the meantime
+  const findExisting = () => load().watches.find(watch => watch.pnr === pnr && watch.owner === owner);
+  const checkLimit = () => {
+    if (!findExisting() && load().watches.filter(watch => watch.owner === owner).length >= MAX_WATCHES_PER_CLIENT) {
+      throw watchError(-32602, `Watch limit reached: at most ${MAX_WATCHES_PER_CLIENT} PNRs per client`, { pnr, limit: MAX_WATCHES_PER_CLIENT });
+    }
+  };
+  checkLimit();
+
+  const status = await fetchStatus(pnr);
+  const reason = finishedReason(status);
+  if (reason) {
+    throw watchError(-32602, `PNR ${pnr} cannot be watched: ${reason}`, { pnr, status });
+  }
+  checkLimit();
+
+  const now = Date.now();
+  const existing = findExisting();
+  const watch = existing || { pnr, owner, createdAt: new Date(now).toISOString(), lastChanges: [] };
+  Object.assign(watch, {
+    lastStatus: status,
+    lastCheckedAt: new Date(now).toISOString(),
+    nextCheckAt: new Date(now + CHECK_INTERVAL_MS).toISOString(),
+    failures: 0,
+    lastError: null
+  });
+  if (!existing) load().watches.push(watch);
+  await save();
+  startScheduler();
+
+  return { ...describe(watch), status, webhook: Boolean(WEBHOOK_URL) };
+};
+
+export const unwatchPnr = async (pnr, owner) => {
+  const before = load().watches.length;
+  store.watches = store.watches.filter(watch => !(watch.pnr === pnr && watch.owner === owner));
+  const removed = store.watches.length < before;
+  if (removed) await save();
+  if (!store.watches.some(watch => watch.pnr === pnr)) listeners.delete(pnr);
+  return { pnr, removed };
+};
+
+export const listWatchedPnrs = (owner) => load().watches
+  .filter(watch => watch.owner === owner)
+  .map(describe);
+
+const changeSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['status_changed', 'position_changed', 'berth_assigned', 'chart_prepared', 'train_cancelled', 'watch_ended'] },
+    passenger: { type: 'integer' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    message: { type: 'string' }
+  },
+  required: ['type', 'message']
+};
+
+export const pnrWatchSchema = {
+  type: 'object',
+  properties: {
+    pnr: { type: 'string' },
+    createdAt: { type: 'string' },
+    lastCheckedAt: { type: ['string', 'null'] },
+    nextCheckAt: { type: ['string', 'null'] },
+    summary: { type: ['string', 'null'] },
+    chartPrepared: { type: 'boolean' },
+    journeyDate: { type: ['string', 'null'] },
+    lastChanges: { type: 'array', items: changeSchema },
+    lastError: {
+      type: ['object', 'null'],
+      description: 'Why the latest check failed; cleared by the next successful check',
+      properties: { code: { type: ['string', 'number', 'null'] }, message: { type: 'string' }, at: { type: 'string' } }
+    }
+  },
+  required: ['pnr', 'createdAt', 'nextCheckAt']
+};
+
+// Resume watches persisted by an earlier run
+if (load().watches.length > 0) {
+  startScheduler();
+}
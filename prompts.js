@@ -0,0 +1,126 @@
+import { searchStations } from './stations.js';
+import { CLASS_TYPES, QUOTAS } from './models.js';
+
+// MCP prompt templates that walk a model through the existing tools in order
+
+const MAX_COMPLETIONS = 100;
+
+const PROMPTS = {
+  plan_train_trip: {
+    description: 'Plan a train trip between two cities on a date',
+    arguments: [
+      { name: 'from', description: 'Origin city or station code', required: true },
+      { name: 'to', description: 'Destination city or station code', required: true },
+      { name: 'date', description: 'Travel date (YYYY-MM-DD)', required: true },
+      { name: 'classType', description: 'Preferred class (SL, 3A, 2A, 1A)', required: false }
+    ],
+    render: ({ from, to, date, classType }) => [
+      `I want to travel by train from ${from} to ${to} on ${date}${classType ? ` in ${classType}` : ''}.`,
+      '',
+      'Please plan this trip step by step:',
+      `1. If "${from}" or "${to}" is not a station code, use search_stations to find the right station codes.`,
+      `2. Use search_trains with the station codes and date ${date} to list the direct trains.`,
+      `3. For the most convenient trains (up to 3), use check_seat_availability${classType ? ` with classType ${classType}` : ''} to see which ones have confirmed seats.`,
+      '4. Recommend one train, explaining departure and arrival times, journey duration and availability, and mention a fallback option.'
+    ].join('\n')
+  },
+  check_pnr: {
+    description: 'Check a PNR and explain the booking status',
+    arguments: [
+      { name: 'pnr', description: '10-digit PNR number', required: true }
+    ],
+    render: ({ pnr }) => [
+      `Please check the status of my train ticket with PNR ${pnr}.`,
+      '',
+      `1. Use get_pnr_status with pnr ${pnr}.`,
+      '2. For each passenger, explain the booking status and the current status in plain language (CNF = confirmed, RAC = reservation against cancellation, WL = waitlisted, with the position).',
+      '3. Say whether the chart has been prepared and what that means for a waitlisted ticket.',
+      '4. If the ticket is not confirmed, explain what I can do next.'
+    ].join('\n')
+  },
+  compare_train_classes: {
+    description: 'Compare fares and availability across classes for a train',
+    arguments: [
+      { name: 'trainNo', description: '5-digit train number', required: true },
+      { name: 'from', description: 'Boarding station code', required: true },
+      { name: 'to', description: 'Destination station code', required: true },
+      { name: 'quota', description: 'Quota (GN, TQ, ...), defaults to GN', required: false }
+    ],
+    render: ({ trainNo, from, to, quota = 'GN' }) => [
+      `Compare the travel classes on train ${trainNo} from ${from} to ${to} (${quota} quota).`,
+      '',
+      `1. Use get_train_schedule for train ${trainNo} to confirm it stops at ${from} and ${to}, and note the journey time.`,
+      `2. Use availability_matrix for the classes the train offers among ${CLASS_TYPES.slice(0, 4).join(', ')}, with quotas ["${quota}"], starting today, to see availability over the coming week in one call.`,
+      '3. Present a table of class, fare and availability, then recommend the best value class that is likely to confirm.'
+    ].join('\n')
+  }
+};
+
+const promptError = (code, message, data) => {
+  const error = new Error(message);
+  error.code = code;
+  error.data = data;
+  return error;
+};
+
+export const listPrompts = () => Object.entries(PROMPTS).map(([name, { description, arguments: args }]) => ({
+  name,
+  description,
+  arguments: args
+}));
+
+// Own entries only, so names like "toString" do not find Object.prototype members
+const lookup = (table, key) => (typeof key === 'string' && Object.hasOwn(table, key) ? table[key] : undefined);
+
+export const getPrompt = (name, args = {}) => {
+  const prompt = lookup(PROMPTS, name);
+  if (!prompt) {
+    throw promptError(-32602, `Unknown prompt: ${name}`, { name });
+  }
+
+  const missing = prompt.arguments
+    .filter(argument => argument.required && !args[argument.name])
+    .map(argument => argument.name);
+  if (missing.length > 0) {
+    throw promptError(-32602, `Missing required arguments: ${missing.join(', ')}`, { missing });
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: { type: 'text', text: prompt.render(args) }
+    }]
+  };
+};
+
+// Station codes matching the typed code, name or city, best match first
+const completeStation = (value) => searchStations(value, { limit: MAX_COMPLETIONS }).map(station => station.code);
+
+const completeFromList = (list, value) => list.filter(item => item.toLowerCase().startsWith(value.trim().toLowerCase()));
+
+const COMPLETERS = {
+  from: completeStation,
+  to: completeStation,
+  code: completeStation,
+  classType: value => completeFromList(CLASS_TYPES, value),
+  quota: value => completeFromList(QUOTAS, value)
+};
+
+// completion/complete for prompt arguments and resource template variables
+export const complete = ({ ref, argument }) => {
+  if (ref?.type === 'ref/prompt' && !lookup(PROMPTS, ref.name)) {
+    throw promptError(-32602, `Unknown prompt: ${ref.name}`, { ref });
+  }
+
+  const completer = lookup(COMPLETERS, argument?.name);
+  const values = completer ? completer(String(argument.value || '')) : [];
+
+  return {
+    completion: {
+      values: values.slice(0, MAX_COMPLETIONS),
+      total: values.length,
+      hasMore: values.length > MAX_COMPLETIONS
+    }
+  };
+};
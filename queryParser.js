@@ -0,0 +1,268 @@
+import { resolveAirport } from './flightService.js';
+import { resolveStation } from './stations.js';
+import { todayIST } from './schemaValidator.js';
+
+// Rule-based interpreter for natural-language travel queries.
+// It maps a free-text question onto one of the MCP tools and its arguments,
+// without calling out to a language model.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CLASS_PATTERNS = [
+  [/\b(1a|first ac|ac first class|1st ac)\b/, '1A'],
+  [/\b(2a|second ac|ac 2 tier|2 tier|2nd ac)\b/, '2A'],
+  [/\b(3e|3 ?ac economy|ac economy)\b/, '3E'],
+  [/\b(3a|third ac|3 ?ac|ac 3 tier|3 tier|3rd ac)\b/, '3A'],
+  [/\b(sl|sleeper)\b/, 'SL'],
+  [/\b(cc|chair car|ac chair)\b/, 'CC'],
+  [/\b(ec|executive chair|executive class)\b/, 'EC'],
+  [/\b(2s|second sitting|2nd sitting)\b/, '2S']
+];
+
+const QUOTA_PATTERNS = [
+  [/\bpremium tatkal\b/, 'PT'],
+  [/\b(tatkal|tatkaal)\b/, 'TQ'],
+  [/\b(ladies|women)\b/, 'LD'],
+  [/\b(senior citizens?|seniors?)\b/, 'SS'],
+  [/\b(general|gn)\b/, 'GN']
+];
+
+// Words that end a place name ("from delhi *tomorrow*")
+const STOP_WORDS = [
+  'on', 'for', 'in', 'at', 'by', 'via', 'with', 'and', 'to', 'from', 'between',
+  'today', 'tonight', 'tomorrow', 'day', 'next', 'this', 'coming', 'class', 'quota',
+  'train', 'trains', 'flight', 'flights', 'tatkal', 'sleeper', 'please', 'date'
+];
+
+// Words of the question itself, never part of a place ("i *want* to *go* to pune")
+const FILLER_WORDS = [
+  'i', 'we', 'me', 'my', 'us', 'want', 'wanna', 'need', 'like', 'would', 'can', 'could',
+  'go', 'going', 'get', 'getting', 'travel', 'travelling', 'traveling', 'reach', 'book',
+  'show', 'find', 'search', 'tell', 'give', 'list', 'check', 'any', 'some', 'a', 'the',
+  'there', 'is', 'are', 'what', 'which', 'how', 'ticket', 'tickets', 'trip', 'journey', 'way'
+];
+
+const TOOL_REQUIREMENTS = {
+  search_trains: ['from', 'to'],
+  search_stations: ['query'],
+  get_pnr_status: ['pnr'],
+  get_train_schedule: ['trainNo'],
+  get_live_train_status: ['trainNo'],
+  station_board: ['station'],
+  check_seat_availability: ['trainNo', 'from', 'to'],
+  search_flights: ['origin']
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar dates are UTC midnights, so the host's time zone never shifts them
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+// Resolve relative and absolute date expressions against today in IST at `now`,
+// the same day the tool argument validation compares dates with
+const extractDate = (text, at) => {
+  const now = new Date(`${todayIST(at)}T00:00:00Z`);
+  if (/\bday after tomorrow\b/.test(text)) return formatDate(addDays(now, 2));
+  if (/\btomorrow\b/.test(text)) return formatDate(addDays(now, 1));
+  if (/\b(today|tonight)\b/.test(text)) return formatDate(now);
+
+  const inDays = text.match(/\bin (\d{1,2}) days?\b/);
+  if (inDays) return formatDate(addDays(now, Number(inDays[1])));
+
+  // "next friday" is the first friday after today; "this/on/coming friday" may be today
+  const weekday = text.match(/\b(next|this|coming|on)?\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[2]);
+    let delta = (target - now.getUTCDay() + 7) % 7;
+    if (delta === 0 && weekday[1] === 'next') delta = 7;
+    return formatDate(addDays(now, delta));
+  }
+
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const numeric = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/);
+  if (numeric) return `${numeric[3]}-${pad(numeric[2])}-${pad(numeric[1])}`;
+
+  // "25 dec", "25th december", "dec 25"
+  const dayMonth = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/);
+  const monthDay = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+(\d{1,2})(?:st|nd|rd|th)?\b/);
+  if (dayMonth || monthDay) {
+    const day = Number(dayMonth ? dayMonth[1] : monthDay[2]);
+    const month = MONTHS.indexOf(dayMonth ? dayMonth[2] : monthDay[1]);
+    let candidate = new Date(Date.UTC(now.getUTCFullYear(), month, day));
+    if (candidate < now) {
+      candidate = new Date(Date.UTC(now.getUTCFullYear() + 1, month, day));
+    }
+    return formatDate(candidate);
+  }
+
+  return undefined;
+};
+
+const matchFirst = (text, patterns) => {
+  const match = patterns.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : undefined;
+};
+
+// Take words after a keyword until a stop or filler word, e.g. "from new delhi tomorrow" -> "new delhi".
+// A keyword followed by no place ("want to go to pune") is skipped for its next use
+const placeAfter = (text, keyword) => {
+  for (const match of text.matchAll(new RegExp(`\\b${keyword}\\s+(?=([a-z][a-z .'-]*))`, 'g'))) {
+    const words = [];
+    for (const word of match[1].trim().split(/\s+/)) {
+      if (STOP_WORDS.includes(word) || FILLER_WORDS.includes(word) || WEEKDAYS.includes(word)) break;
+      words.push(word.replace(/[.'-]+$/, ''));
+    }
+    if (words.length > 0) return words.join(' ');
+  }
+  return undefined;
+};
+
+const extractPlaces = (text) => {
+  const between = text.match(/\bbetween\s+([a-z][a-z .'-]*?)\s+and\s+([a-z][a-z .'-]*)/);
+  if (between) {
+    return { from: placeAfter(`from ${between[1]}`, 'from'), to: placeAfter(`to ${between[2]}`, 'to') };
+  }
+  let from = placeAfter(text, 'from');
+  let to = placeAfter(text, 'to');
+  // "delhi to mumbai" without "from"
+  if (!from && to) {
+    const bare = text.match(/\b([a-z][a-z ]*?)\s+to\s+/);
+    if (bare) {
+      const words = bare[1].trim().split(/\s+/).filter(word => !STOP_WORDS.includes(word) && !FILLER_WORDS.includes(word));
+      const candidate = words.slice(-2).join(' ');
+      if (words.length > 0) {
+        from = resolveStation(candidate).status === 'resolved' || resolveAirport(candidate) ? candidate : words.slice(-1)[0];
+      }
+    }
+  }
+  return { from, to };
+};
+
+// Station code for a place; names that are ambiguous (e.g. a city with several terminals)
+// are passed through so the tool can answer with the candidate stations. The query is
+// lowercased for matching, so `codes` holds the words written in capitals in the
+// original query: a code missing from the station index ("BCT") is passed on as a code
+const toStationCode = (place, codes) => {
+  if (!place) return undefined;
+  const resolution = resolveStation(place);
+  if (resolution.status === 'resolved') return resolution.station.code;
+  return codes.has(place.toUpperCase()) ? place.toUpperCase() : place;
+};
+
+const detectIntent = (text) => {
+  if (/\bpnr\b/.test(text) || /\b\d{10}\b/.test(text)) return 'pnr_status';
+  if (/\b(flights?|fly|flying|airfare|plane)\b/.test(text)) return 'flight_search';
+  if (/\b(availability|available|seats?|berths?)\b/.test(text)) return 'seat_availability';
+  if (/\b(departures|arrivals|station board|live station)\b/.test(text) || /\bnext \d+ hours?\b/.test(text)) return 'station_board';
+  if (/\b(where is|running status|live status|late|delayed?|running|reach(?:es)?|arrive|arrives|eta)\b/.test(text) && /\b\d{5}\b/.test(text)) return 'live_status';
+  if (/\b(schedule|route|timetable|stops|halts)\b/.test(text)) return 'train_schedule';
+  if (/\bstations?\b/.test(text) && !/\bto\b/.test(text)) return 'station_search';
+  if (/\b(trains?|rail|go|travel|get)\b/.test(text) || /\bto\b/.test(text)) return 'train_search';
+  return 'unknown';
+};
+
+/**
+ * Interpret a natural-language query.
+ * Returns the detected intent, the extracted entities, the MCP tool and arguments to
+ * call, and any required arguments that could not be extracted.
+ */
+export const parseQuery = (query, { now = new Date() } = {}) => {
+  const text = String(query || '').toLowerCase().replace(/[?!,]/g, ' ').replace(/\s+/g, ' ').trim();
+  const intent = detectIntent(text);
+  const codes = new Set(String(query || '').match(/\b[A-Z]{2,5}\b/g));
+  const stationCode = (place) => toStationCode(place, codes);
+
+  const { from, to } = extractPlaces(text);
+  const entities = {
+    from,
+    to,
+    date: extractDate(text, now),
+    trainNo: (text.match(/\b(\d{5})\b/) || [])[1],
+    pnr: (text.match(/\b(\d{10})\b/) || [])[1],
+    classType: matchFirst(text, CLASS_PATTERNS),
+    quota: matchFirst(text, QUOTA_PATTERNS),
+    passengers: Number((text.match(/\b(\d) (?:people|persons|passengers|adults|travellers|travelers|tickets)\b/) || [])[1]) || undefined
+  };
+
+  let tool = null;
+  let args = {};
+
+  switch (intent) {
+    case 'pnr_status':
+      tool = 'get_pnr_status';
+      args = { pnr: entities.pnr };
+      break;
+    case 'train_schedule':
+      tool = 'get_train_schedule';
+      args = { trainNo: entities.trainNo };
+      break;
+    case 'live_status':
+      tool = 'get_live_train_status';
+      args = { trainNo: entities.trainNo, station: stationCode(placeAfter(text, '(?:at|reach|reaches|reaching)') || to) };
+      break;
+    case 'station_board': {
+      const hours = Number((text.match(/\bnext (\d+) hours?\b/) || [])[1]) || undefined;
+      tool = 'station_board';
+      args = {
+        station: stationCode(placeAfter(text, '(?:at|from|for|of|leaving|leave|arriving)')),
+        to: stationCode(to),
+        // The board looks 1, 2, 4 or 8 hours ahead
+        hours: hours && [1, 2, 4, 8].find(option => option >= hours),
+        show: /\b(arrivals|arriving|arrive)\b/.test(text) && !/\b(departures|leaving|leave)\b/.test(text) ? 'arrivals' : undefined
+      };
+      break;
+    }
+    case 'seat_availability':
+      tool = 'check_seat_availability';
+      args = {
+        trainNo: entities.trainNo,
+        from: stationCode(from),
+        to: stationCode(to),
+        classType: entities.classType,
+        quota: entities.quota
+      };
+      break;
+    case 'flight_search':
+      tool = 'search_flights';
+      args = {
+        origin: resolveAirport(from) || from,
+        destination: resolveAirport(to) || to,
+        date: entities.date,
+        passengers: entities.passengers
+      };
+      break;
+    case 'station_search':
+      tool = 'search_stations';
+      args = { query: placeAfter(text, '(?:in|near|for|at|called|named)') || text.replace(/\b(stations?|railway|find|search|show|me|list|the|of|all)\b/g, '').trim() || undefined };
+      break;
+    case 'train_search':
+      tool = 'search_trains';
+      args = { from: stationCode(from), to: stationCode(to), date: entities.date };
+      break;
+    default:
+      break;
+  }
+
+  args = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+  const missing = tool ? TOOL_REQUIREMENTS[tool].filter(field => !args[field]) : [];
+
+  return {
+    query,
+    intent,
+    entities: Object.fromEntries(Object.entries(entities).filter(([, value]) => value !== undefined)),
+    tool,
+    arguments: args,
+    missing
+  };
+};
+
+export default parseQuery;
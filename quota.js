@@ -0,0 +1,202 @@
+import { config } from './config.js';
+import { rateLimitRejections } from './metrics.js';
+import { cancellationError } from './errors.js';
+
+// Upstream quota management.
+// One token bucket models the RapidAPI plan limit shared by the whole process,
+// and each client gets its own smaller bucket. Requests that cannot run yet
+// wait in per-client queues that are served round-robin, so one busy client
+// cannot starve the others.
+
+const UPSTREAM_LIMIT_PER_MINUTE = config.upstreamRateLimit;
+const CLIENT_LIMIT_PER_MINUTE = config.clientRateLimit;
+const MAX_WAIT_MS = config.quotaMaxWaitMs;
+const MAX_QUEUE_PER_CLIENT = 20;
+const IDLE_CLIENT_MS = 10 * 60 * 1000;
+
+class TokenBucket {
+    constructor(perMinute) {
+        this.capacity = perMinute;
+        this.tokens = perMinute;
+        this.refillPerMs = perMinute / 60000;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    available() {
+        this.refill();
+        return this.tokens >= 1;
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+
+    // Milliseconds until one whole token is available
+    msUntilToken() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+}
+
+const upstream = new TokenBucket(UPSTREAM_LIMIT_PER_MINUTE);
+const clients = new Map();
+// Client ids with waiting requests, in round-robin order
+const ring = [];
+let drainTimer = null;
+
+const getClient = (clientId) => {
+    let client = clients.get(clientId);
+    if (!client) {
+        client = { bucket: new TokenBucket(CLIENT_LIMIT_PER_MINUTE), queue: [], lastUsed: Date.now() };
+        clients.set(clientId, client);
+    }
+    client.lastUsed = Date.now();
+    return client;
+};
+
+const msUntilAllowed = (client) => Math.max(client.bucket.msUntilToken(), upstream.msUntilToken());
+
+const rateLimitError = (client, scope) => {
+    const error = new Error('Rate limit exceeded');
+    error.code = 'RATE_LIMIT_EXCEEDED';
+    error.scope = scope;
+    error.retryAfter = Math.max(1, Math.ceil(msUntilAllowed(client) / 1000));
+    rateLimitRejections.inc({ scope });
+    return error;
+};
+
+const canRun = (client) => client.bucket.available() && upstream.available();
+
+const grant = (client) => {
+    client.bucket.take();
+    upstream.take();
+};
+
+// Serve waiting requests round-robin while both buckets have tokens
+const drain = () => {
+    clearTimeout(drainTimer);
+    drainTimer = null;
+
+    let progressed = true;
+    while (progressed && ring.length > 0) {
+        progressed = false;
+        for (const clientId of [...ring]) {
+            const client = clients.get(clientId);
+            if (!upstream.available()) break;
+            if (!client.bucket.available()) continue;
+
+            const waiter = client.queue.shift();
+            grant(client);
+            clearTimeout(waiter.timer);
+            waiter.resolve();
+
+            // Move to the back of the ring, or drop out once the queue is empty
+            ring.splice(ring.indexOf(clientId), 1);
+            if (client.queue.length > 0) ring.push(clientId);
+            progressed = true;
+        }
+    }
+
+    if (ring.length > 0) {
+        const nextIn = Math.min(...ring.map(clientId => msUntilAllowed(clients.get(clientId))));
+        // Waiters hold their own timeout timers, so this one need not keep the process alive
+        drainTimer = setTimeout(drain, Math.max(nextIn, 10)).unref();
+    }
+};
+
+// Take a token immediately if possible, without queueing
+const tryAcquire = (clientId = 'anonymous') => {
+    const client = getClient(clientId);
+    if (client.queue.length === 0 && canRun(client)) {
+        grant(client);
+        return true;
+    }
+    return false;
+};
+
+// Wait (up to MAX_WAIT_MS) for this client's turn at the upstream; aborting `signal` gives up the place in the queue
+const acquire = (clientId = 'anonymous', signal) => {
+    if (signal?.aborted) {
+        return Promise.reject(cancellationError(signal));
+    }
+    if (tryAcquire(clientId)) {
+        return Promise.resolve();
+    }
+
+    const client = getClient(clientId);
+    if (client.queue.length >= MAX_QUEUE_PER_CLIENT) {
+        return Promise.reject(rateLimitError(client, 'client'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const leaveQueue = () => {
+            clearTimeout(waiter.timer);
+            signal?.removeEventListener('abort', onAbort);
+            client.queue.splice(client.queue.indexOf(waiter), 1);
+            if (client.queue.length === 0 && ring.includes(clientId)) {
+                ring.splice(ring.indexOf(clientId), 1);
+            }
+        };
+        const onAbort = () => {
+            leaveQueue();
+            reject(cancellationError(signal));
+        };
+        const waiter = {
+            resolve: () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }
+        };
+        waiter.timer = setTimeout(() => {
+            leaveQueue();
+            reject(rateLimitError(client, client.bucket.available() ? 'upstream' : 'client'));
+        }, MAX_WAIT_MS);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        client.queue.push(waiter);
+        if (!ring.includes(clientId)) ring.push(clientId);
+        drain();
+    });
+};
+
+// Upstream calls a client can make now or while waiting up to MAX_WAIT_MS, for
+// callers that plan several calls at once
+const budget = (clientId = 'anonymous') => {
+    const client = getClient(clientId);
+    const within = (bucket) => {
+        bucket.refill();
+        return Math.floor(bucket.tokens + bucket.refillPerMs * MAX_WAIT_MS);
+    };
+    return Math.max(0, Math.min(within(client.bucket), within(upstream)) - client.queue.length);
+};
+
+// Upstream quota left right now, for the readiness check
+const stats = () => ({
+    limitPerMinute: UPSTREAM_LIMIT_PER_MINUTE,
+    remaining: upstream.available() ? Math.floor(upstream.tokens) : 0,
+    retryAfter: Math.ceil(upstream.msUntilToken() / 1000),
+    waiting: ring.reduce((count, clientId) => count + clients.get(clientId).queue.length, 0)
+});
+
+// Forget clients that have been idle for a while
+setInterval(() => {
+    const cutoff = Date.now() - IDLE_CLIENT_MS;
+    clients.forEach((client, clientId) => {
+        if (client.queue.length === 0 && client.lastUsed < cutoff) {
+            clients.delete(clientId);
+        }
+    });
+}, IDLE_CLIENT_MS).unref();
+
+export default {
+    acquire,
+    tryAcquire,
+    budget,
+    stats
+};
@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+// Per-request state (the calling client, the request ID and the cancellation `signal`)
+// that needs to reach irctcService and the logger without being passed through every
+// function signature.
+const storage = new AsyncLocalStorage();
+
+export const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+export const getRequestContext = () => storage.getStore() || {};
+
+// Callers may supply their own ID for correlation; anything odd is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
+
+export const newRequestId = () => randomUUID();
+
+// Express middleware: REST callers are identified by IP address, and every
+// request gets an ID that is echoed back in `X-Request-Id`
+export const requestContextMiddleware = (req, res, next) => {
+  const supplied = req.header('X-Request-Id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : newRequestId();
+  res.set('X-Request-Id', req.id);
+  runWithRequestContext({ requestId: req.id, clientId: `ip:${req.ip}` }, next);
+};
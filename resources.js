@@ -0,0 +1,172 @@
+import { createHash } from 'crypto';
+import { searchStation, getTrainSchedule, getPNRStatus } from './irctcService.js';
+import { normalizeStations, normalizeSchedule, normalizePnrStatus } from './models.js';
+import { getStation } from './stations.js';
+import { config } from './config.js';
+import { runWithRequestContext } from './requestContext.js';
+import { getLogger } from './logger.js';
+
+// MCP resources backed by irctcService lookups, in the normalized shapes from models.js.
+// PNR resources can be subscribed to; they are polled and subscribers get
+// notifications/resources/updated when the upstream status changes. Polling runs
+// under its own rate-limit client id rather than the shared anonymous one.
+
+const log = getLogger('resources');
+
+const PNR_POLL_INTERVAL_MS = config.pnrPollIntervalMs;
+const POLLER_CLIENT_ID = 'system:resources';
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'irctc://train/{trainNo}/schedule',
+    name: 'Train schedule',
+    description: 'Full route with arrival/departure times for a train number',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'irctc://station/{code}',
+    name: 'Station details',
+    description: 'Station details for a station code',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'irctc://pnr/{pnr}',
+    name: 'PNR status',
+    description: 'Booking and current status for a 10-digit PNR (subscribable)',
+    mimeType: 'application/json'
+  }
+];
+
+const RESOURCE_ROUTES = [
+  {
+    pattern: /^irctc:\/\/train\/(\d{5})\/schedule$/,
+    scope: 'trains:read',
+    load: async ([trainNo]) => normalizeSchedule((await getTrainSchedule(trainNo)).data, trainNo)
+  },
+  {
+    pattern: /^irctc:\/\/station\/([A-Za-z]{1,5})$/,
+    scope: 'trains:read',
+    // Known stations come from the local index without spending upstream quota
+    load: async ([code]) => {
+      const station = getStation(code);
+      return station ? [station] : normalizeStations((await searchStation(code.toUpperCase())).data);
+    }
+  },
+  {
+    pattern: /^irctc:\/\/pnr\/(\d{10})$/,
+    scope: 'pnr:read',
+    load: async ([pnr]) => normalizePnrStatus((await getPNRStatus(pnr)).data, pnr),
+    subscribable: true
+  }
+];
+
+const resourceError = (code, message, uri) => {
+  const error = new Error(message);
+  error.code = code;
+  error.data = { uri };
+  return error;
+};
+
+const matchResource = (uri) => {
+  for (const route of RESOURCE_ROUTES) {
+    const match = typeof uri === 'string' && uri.match(route.pattern);
+    if (match) return { route, args: match.slice(1) };
+  }
+  throw resourceError(-32002, 'Resource not found', uri);
+};
+
+// The scope a caller needs to read or subscribe to `uri`
+export const resourceScope = (uri) => matchResource(uri).route.scope;
+
+export const readResource = async (uri) => {
+  const { route, args } = matchResource(uri);
+  const result = await route.load(args);
+  return {
+    contents: [{
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(result, null, 2)
+    }]
+  };
+};
+
+// Subscriptions: uri -> Map(subscriber key -> notify function)
+const subscriptions = new Map();
+// Last seen content hash per subscribed uri
+const fingerprints = new Map();
+
+const fingerprint = (data) => createHash('sha1').update(JSON.stringify(data)).digest('hex');
+
+export const subscribe = async (uri, key, notify) => {
+  const { route, args } = matchResource(uri);
+  if (!route.subscribable) {
+    throw resourceError(-32602, 'Subscriptions are only supported for irctc://pnr/{pnr} resources', uri);
+  }
+  if (!subscriptions.has(uri)) {
+    subscriptions.set(uri, new Map());
+  }
+  subscriptions.get(uri).set(key, notify);
+
+  // Record the current state so the first poll can already detect a change
+  if (!fingerprints.has(uri)) {
+    try {
+      const result = await route.load(args);
+      fingerprints.set(uri, fingerprint(result));
+    } catch (error) {
+      log.warn('Failed to load resource', { uri, code: error.code, error: error.message });
+    }
+  }
+};
+
+export const unsubscribe = (uri, key) => {
+  const subscribers = subscriptions.get(uri);
+  if (!subscribers) return;
+  subscribers.delete(key);
+  if (subscribers.size === 0) {
+    subscriptions.delete(uri);
+    fingerprints.delete(uri);
+  }
+};
+
+// Remove every subscription held by one subscriber (e.g. when its session ends)
+export const unsubscribeAll = (key) => {
+  [...subscriptions.keys()].forEach(uri => unsubscribe(uri, key));
+};
+
+// Resources the subscriber is currently watching
+export const listSubscribedResources = (key) => [...subscriptions.entries()]
+  .filter(([, subscribers]) => subscribers.has(key))
+  .map(([uri]) => ({
+    uri,
+    name: `PNR ${uri.split('/').pop()}`,
+    mimeType: 'application/json'
+  }));
+
+/**
+ * Record fresh data for a subscribable resource that was fetched elsewhere
+ * (e.g. by the PNR watch scheduler) and notify subscribers if it changed.
+ */
+export const recordResourceState = (uri, data) => {
+  const subscribers = subscriptions.get(uri);
+  if (!subscribers) return;
+  const current = fingerprint(data);
+  const previous = fingerprints.get(uri);
+  fingerprints.set(uri, current);
+  if (previous && previous !== current) {
+    subscribers.forEach(notify => notify('notifications/resources/updated', { uri }));
+  }
+};
+
+const pollSubscriptions = async () => {
+  for (const uri of [...subscriptions.keys()]) {
+    try {
+      const { route, args } = matchResource(uri);
+      const data = await runWithRequestContext({ clientId: POLLER_CLIENT_ID }, () => route.load(args));
+      recordResourceState(uri, data);
+    } catch (error) {
+      log.warn('Failed to poll resource', { uri, code: error.code, error: error.message });
+    }
+  }
+};
+
+setInterval(pollSubscriptions, PNR_POLL_INTERVAL_MS).unref();
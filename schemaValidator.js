@@ -0,0 +1,123 @@
+// Minimal JSON Schema validator for tool arguments.
+// Supports the subset our tool schemas use: type, properties, required,
+// additionalProperties, items, enum, const, pattern, minLength/maxLength,
+// minimum/maximum, minItems/maxItems and format. `formatMinimum: 'today'` on a
+// `date` field rejects dates in the past (ajv-keywords uses the same keyword).
+
+// Dates are compared in Indian Standard Time, where the trains run
+export const todayIST = (now = new Date()) => new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(now);
+
+const isCalendarDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.toISOString().startsWith(value);
+};
+
+const FORMATS = {
+  date: [isCalendarDate, 'a valid date (YYYY-MM-DD)']
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const fieldName = (path) => path || '(arguments)';
+
+const check = (schema, value, path, errors) => {
+  const fail = (message) => errors.push({ field: fieldName(path), message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be of type ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}${schema.description ? ` (${schema.description})` : ''}`);
+    }
+    const format = FORMATS[schema.format];
+    if (format && !format[0](value)) {
+      fail(`must be ${format[1]}`);
+    } else if (format && schema.formatMinimum) {
+      const minimum = schema.formatMinimum === 'today' ? todayIST() : schema.formatMinimum;
+      if (value < minimum) {
+        fail(schema.formatMinimum === 'today' ? 'must not be in the past' : `must not be before ${minimum}`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ field: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        check(properties[key], propertyValue, propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: propertyPath, message: 'is not a recognised argument' });
+      }
+    });
+  }
+};
+
+/**
+ * Validate `value` against `schema`.
+ * Returns a list of `{ field, message }` problems; empty when the value is valid.
+ */
+export const validate = (schema, value) => {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+};
+
+export default validate;
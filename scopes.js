@@ -0,0 +1,14 @@
+// Scopes granting access to tools: `*` grants everything, `tool:<name>` a single tool,
+// and each tool's own `scope` (trains:read, pnr:watch, ... declared in tools/) the tools of one area
+export const canCallTool = (auth, { name, scope }) => {
+  const scopes = auth?.scopes || [];
+  return scopes.includes('*')
+    || scopes.includes(`tool:${name}`)
+    || (scope !== undefined && scopes.includes(scope));
+};
+
+// Resources are granted by `*` or by the scope of the tools that return the same data
+export const canReadResource = (auth, scope) => {
+  const scopes = auth?.scopes || [];
+  return scopes.includes('*') || scopes.includes(scope);
+};
@@ -1,421 +1,102 @@
-import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
-import { searchStation, getTrainsBetweenStations, getTrainSchedule, checkSeatAvailability, getPNRStatus } from './irctcService.js';
-import { mcpAuth } from './auth.js';
-
-// Load environment variables
-dotenv.config();
+import { rateLimit } from 'express-rate-limit';
+import { config, assertConfig } from './config.js';
+import { mcpAuth, credentialProblems } from './auth.js';
+import apiRoutes from './apiRoutes.js';
+import { createAskRouter } from './askRoute.js';
+import { mcpServer, RATE_LIMITED } from './mcpServer.js';
+import { handleMcpPost, handleMcpGet, handleMcpDelete } from './streamableHttp.js';
+import { toolConfigProblems } from './toolRegistry.js';
+import { listSessions, closeSession } from './sessions.js';
+import { trackInFlight, markShuttingDown, isShuttingDown, inFlightRequests } from './health.js';
+import { requestContextMiddleware } from './requestContext.js';
+import { getLogger } from './logger.js';
+import { renderMetrics, httpRequests, rateLimitRejections } from './metrics.js';
+
+const log = getLogger('http');
+
+// Refuse to start with a broken configuration, listing every problem at once
+try {
+  assertConfig([...credentialProblems(), ...toolConfigProblems()]);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 10000;
+
+// Count in-flight requests so shutdown can drain them
+app.use(trackInFlight);
 
 // Middleware
 app.use(express.json({ strict: false }));
 
-// Request logger
+// Request IDs and caller identity for logs and per-client upstream quotas
+app.use(requestContextMiddleware);
+
+// Request logger: one entry per response, tagged with the request ID
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    // Label by route pattern, not the raw path, to keep the metric's label set small
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    log.info('HTTP request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+    });
+  });
   next();
 });
 
-// MCP Server Implementation
-class MCPServer {
-  constructor() {
-    this.methods = new Map();
-    this.initializeMethods();
-  }
-
-  initializeMethods() {
-    // Register all available methods
-    this.registerMethod('initialize', this.handleInitialize.bind(this));
-    this.registerMethod('tools/list', this.handleToolsList.bind(this));
-    this.registerMethod('tools/call', this.handleToolCall.bind(this));
-    this.registerMethod('notifications/initialized', this.handleInitialized.bind(this));
-    this.registerMethod('ping', this.handlePing.bind(this));
-  }
-
-  registerMethod(name, handler) {
-    this.methods.set(name, handler);
-  }
-
-  async handleRequest(payload) {
-    const { jsonrpc, method, params, id } = payload;
-    
-    if (jsonrpc !== '2.0') {
-      throw new Error('Invalid JSON-RPC version');
-    }
-
-    const handler = this.methods.get(method);
-    if (!handler) {
-      throw new Error(`Method not found: ${method}`);
-    }
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
 
-    try {
-      const result = await handler(params || {});
-      return { jsonrpc: '2.0', result, id };
-    } catch (error) {
-      return {
+// Coarse per-caller flood protection; upstream quota is managed per client in quota.js
+const httpRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  limit: config.httpRateLimit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => req.header('Authorization') || req.ip,
+  handler: (req, res, next, options) => {
+    const retryAfter = Math.ceil(options.windowMs / 1000);
+    rateLimitRejections.inc({ scope: 'http' });
+    if (req.baseUrl === '/mcp') {
+      return res.status(options.statusCode).json({
         jsonrpc: '2.0',
-        error: {
-          code: error.code || -32603,
-          message: error.message || 'Internal error',
-          data: error.data
-        },
-        id
-      };
+        error: { code: RATE_LIMITED, message: 'Rate limit exceeded', data: { retryAfter, scope: 'http' } },
+        id: req.body?.id ?? null
+      });
     }
+    res.status(options.statusCode).json({
+      status: false,
+      message: 'Too many requests',
+      error: { retryAfter }
+    });
   }
+});
+app.use(['/mcp', '/api', '/ask'], httpRateLimit);
 
-  // MCP Method Handlers
-  async handleInitialize() {
-    return {
-      protocolVersion: '2024-11-05',
-      capabilities: {
-        tools: { listChanged: false },
-        resources: { subscribe: false, listChanged: false },
-        prompts: { listChanged: false },
-        logging: {}
-      },
-      serverInfo: {
-        name: 'mcp-train-flight-server',
-        version: '1.0.0'
-      }
-    };
-  }
-
-  async handleToolsList() {
-    return {
-      tools: [
-        {
-          name: 'get_validation_number',
-          description: 'Returns a specific validation number',
-          inputSchema: {
-            type: 'object',
-            properties: {},
-            required: []
-          }
-        },
-        {
-          name: 'search_trains',
-          description: 'Search for trains between two stations',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              from: { type: 'string', description: 'Source station code or name' },
-              to: { type: 'string', description: 'Destination station code or name' },
-              date: { type: 'string', description: 'Travel date (YYYY-MM-DD)' }
-            },
-            required: ['from', 'to']
-          }
-        },
-        {
-          name: 'search_stations',
-          description: 'Search for railway stations',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: { type: 'string', description: 'Station name or code to search' }
-            },
-            required: ['query']
-          }
-        },
-        {
-          name: 'get_pnr_status',
-          description: 'Get PNR status for a train ticket',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              pnr: { type: 'string', description: '10-digit PNR number' }
-            },
-            required: ['pnr']
-          }
-        },
-        {
-          name: 'get_train_schedule',
-          description: 'Get detailed schedule for a train',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              trainNo: { type: 'string', description: 'Train number' }
-            },
-            required: ['trainNo']
-          }
-        },
-        {
-          name: 'check_seat_availability',
-          description: 'Check seat availability for a train',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              trainNo: { type: 'string', description: 'Train number' },
-              from: { type: 'string', description: 'Source station code' },
-              to: { type: 'string', description: 'Destination station code' },
-              classType: { type: 'string', description: 'Class type (SL, 3A, 2A, 1A)' },
-              quota: { type: 'string', description: 'Quota type (GN, TQ, etc.)' }
-            },
-            required: ['trainNo', 'from', 'to']
-          }
-        },
-        {
-          name: 'search_flights',
-          description: 'Search for flight deals',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: { type: 'string', description: 'Origin airport code or city' },
-              limit: { type: 'string', description: 'Number of results to return' }
-            },
-            required: ['query']
-          }
-        }
-      ]
-    };
-  }
-
-  async handleToolCall({ name, arguments: args }) {
-    switch (name) {
-      case 'get_validation_number':
-        return await this.handleGetValidationNumber(args);
-      case 'search_trains':
-        return await this.handleSearchTrains(args);
-      case 'search_stations':
-        return await this.handleSearchStations(args);
-      case 'get_pnr_status':
-        return await this.handleGetPNRStatus(args);
-      case 'get_train_schedule':
-        return await this.handleGetTrainSchedule(args);
-      case 'check_seat_availability':
-        return await this.handleCheckSeatAvailability(args);
-      case 'search_flights':
-        return await this.handleSearchFlights(args);
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  }
-
-  async handleSearchTrains({ from, to, date }) {
-    const trains = await getTrainsBetweenStations(from, to, date);
-    return {
-      content: [{
-        type: 'text',
-        text: `Found ${trains.length} trains from ${from} to ${to}`,
-        data: trains
-      }]
-    };
-  }
-
-  async handleSearchStations({ query }) {
-    const stations = await searchStation(query);
-    return {
-      content: [{
-        type: 'text',
-        text: `Found ${stations.length} stations matching '${query}'`,
-        data: stations
-      }]
-    };
-  }
-
-  async handleGetPNRStatus({ pnr }) {
-    const status = await getPNRStatus(pnr);
-    return {
-      content: [{
-        type: 'text',
-        text: `PNR Status for ${pnr}`,
-        data: status
-      }]
-    };
-  }
-
-  async handleGetTrainSchedule({ trainNo }) {
-    const schedule = await getTrainSchedule(trainNo);
-    return {
-      content: [{
-        type: 'text',
-        text: `Schedule for train ${trainNo}`,
-        data: schedule
-      }]
-    };
-  }
-
-  async handleCheckSeatAvailability({ trainNo, from, to, classType = '3A', quota = 'GN' }) {
-    const availability = await checkSeatAvailability(trainNo, from, to, classType, quota);
-    return {
-      content: [{
-        type: 'text',
-        text: `Seat availability for train ${trainNo}`,
-        data: availability
-      }]
-    };
-  }
-
-  async handleSearchFlights({ query, limit }) {
-    const flightDeals = await getFlightDeals(query, limit);
-    return {
-      content: [{
-        type: 'text',
-        text: `Found ${flightDeals.length} flight deals from ${query}`,
-        data: flightDeals
-      }]
-    };
-  }
+// REST API (health, flights, trains)
+app.use(apiRoutes);
 
-  async handleInitialized() {
-    // No response needed for notifications
-    return null;
-  }
+// Natural-language queries, answered through the MCP tool handlers
+app.use(createAskRouter(mcpServer));
 
-  async handlePing() {
-    return 'pong';
-  }
-
-  // Validation number tool handler
-  async handleGetValidationNumber() {
-    return {
-      content: [{
-        type: 'text',
-        text: 'Validation number retrieved',
-        data: {
-          validationNumber: 8917592945
-        }
-      }]
-    };
-  }
-}
+// MCP endpoint (Streamable HTTP) with authentication
+app.post('/mcp', mcpAuth, handleMcpPost);
+app.get('/mcp', mcpAuth, handleMcpGet);
+app.delete('/mcp', mcpAuth, handleMcpDelete);
 
-// Create MCP server instance
-const mcpServer = new MCPServer();
-
-// MCP endpoint handler with authentication
-app.post('/mcp', mcpAuth, async (req, res) => {
-  try {
-    let payload = req.body;
-    
-    // Handle string payload (in case it's double-stringified)
-    if (typeof payload === 'string') {
-      try {
-        payload = JSON.parse(payload);
-        // Handle case where the parsed payload is still a string
-        if (typeof payload === 'string') {
-          try {
-            payload = JSON.parse(payload);
-          } catch (e) {
-            // If second parse fails, use the string as is
-          }
-        }
-      } catch (e) {
-        // If parsing fails, try to clean up the string
-        try {
-          const cleaned = payload
-            .replace(/^"+|"+$/g, '')
-            .replace(/\\"/g, '"')
-            .replace(/\\\\/g, '\\');
-          payload = JSON.parse(cleaned);
-        } catch (cleanError) {
-          return res.status(400).json({
-            jsonrpc: '2.0',
-            error: {
-              code: -32700,
-              message: 'Parse error',
-              data: `Invalid JSON: ${cleanError.message}`
-            },
-            id: null
-          });
-        }
-      }
-    }
-    
-    // Handle batch requests (array of requests)
-    if (Array.isArray(payload)) {
-      const results = await Promise.all(
-        payload.map(request => mcpServer.handleRequest(request))
-      );
-      return res.json(results);
-    }
-    
-    // Handle single request
-    const response = await mcpServer.handleRequest(payload);
-    res.json(response);
-  } catch (error) {
-    console.error('MCP request error:', error);
-    res.status(500).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32603,
-        message: 'Internal error',
-        data: error.message
-      },
-      id: null
-    });
-  }
-});
-
-// MCP protocol endpoint
-app.post('/mcp', mcpAuth, async (req, res) => {
-  try {
-    let payload = req.body;
-    
-    // Handle string payload (in case it's double-stringified)
-    if (typeof payload === 'string') {
-      try {
-        payload = JSON.parse(payload);
-        // Handle case where the parsed payload is still a string
-        if (typeof payload === 'string') {
-          try {
-            payload = JSON.parse(payload);
-          } catch (e) {
-            // If second parse fails, use the string as is
-          }
-        }
-      } catch (e) {
-        // If parsing fails, try to clean up the string
-        try {
-          const cleaned = payload
-            .replace(/^"+|"+$/g, '')
-            .replace(/\\"/g, '"')
-            .replace(/\\\\/g, '\\\\');
-          payload = JSON.parse(cleaned);
-        } catch (cleanError) {
-          return res.status(400).json({
-            jsonrpc: '2.0',
-            error: {
-              code: -32700,
-              message: 'Parse error',
-              data: `Invalid JSON: ${cleanError.message}`
-            },
-            id: null
-          });
-        }
-      }
-    }
-    
-    // Handle batch requests (array of requests)
-    if (Array.isArray(payload)) {
-      const results = await Promise.all(
-        payload.map(request => mcpServer.handleRequest(request))
-      );
-      return res.json(results);
-    }
-    
-    // Handle single request
-    const response = await mcpServer.handleRequest(payload);
-    res.json(response);
-  } catch (error) {
-    console.error('MCP request error:', error);
-    res.status(500).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32603,
-        message: 'Internal error',
-        data: error.message
-      },
-      id: null
-    });
-  }
-});
 // MCP Server Error Handler
 app.use((err, req, res, next) => {
-  console.error('MCP Server Error:', err);
+  log.error('MCP Server Error', { error: err });
   
   if (err instanceof SyntaxError && 'body' in err) {
     return res.status(200).json({
@@ -434,7 +115,7 @@ app.use((err, req, res, next) => {
     error: {
       code: -32603,
       message: 'Internal error',
-      data: process.env.NODE_ENV === 'development' ? err.message : undefined
+      data: config.nodeEnv === 'development' ? err.message : undefined
     },
     id: null
   });
@@ -454,8 +135,35 @@ app.use((req, res) => {
 });
 
 // Start the MCP server
-app.listen(PORT, () => {
-  console.log(`🚀 MCP Server is running on http://localhost:${PORT}`);
-  console.log(`📋 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔧 MCP endpoint: POST http://localhost:${PORT}/mcp`);
+const server = app.listen(config.port, () => {
+  log.info('MCP Server is running', {
+    url: `http://localhost:${config.port}`,
+    mcpEndpoint: `http://localhost:${config.port}/mcp`,
+    environment: config.nodeEnv
+  });
 });
+
+// Graceful shutdown: stop accepting connections, end the SSE streams and let
+// in-flight requests finish, closing whatever is left after SHUTDOWN_TIMEOUT_MS
+const shutdown = (signal) => {
+  if (isShuttingDown()) return;
+  markShuttingDown();
+  log.info('Shutting down', { signal, inFlight: inFlightRequests() });
+
+  const forceTimer = setTimeout(() => {
+    log.warn('Shutdown timed out, closing open connections', { inFlight: inFlightRequests() });
+    process.exitCode = 1;
+    server.closeAllConnections();
+  }, config.shutdownTimeoutMs).unref();
+
+  server.close(() => {
+    clearTimeout(forceTimer);
+    log.info('Server stopped');
+    process.exit();
+  });
+  listSessions().forEach(session => closeSession(session.id));
+  server.closeIdleConnections();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
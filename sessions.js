@@ -0,0 +1,102 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { config } from './config.js';
+
+// Streamable HTTP sessions, keyed by the Mcp-Session-Id header
+const SESSION_TTL_MS = config.sessionTtlMs;
+const MAX_SESSIONS_PER_CLIENT = config.maxSessionsPerClient;
+const MAX_PENDING_MESSAGES = 100;
+
+const sessions = new Map();
+
+// Write one JSON-RPC message as an SSE event
+export const writeSseMessage = (res, message) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+};
+
+// Emits 'close' when the session ends so per-session state can be released
+class Session extends EventEmitter {
+  // `clientId` is the caller that created the session; only it may use the session
+  constructor(clientId) {
+    super();
+    this.id = randomUUID();
+    this.clientId = clientId;
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.createdAt = Date.now();
+    this.lastSeen = this.createdAt;
+    this.streams = new Set();
+    // Messages sent while no GET stream is open, delivered when one connects
+    this.pending = [];
+  }
+
+  touch() {
+    this.lastSeen = Date.now();
+  }
+
+  // Attach a GET /mcp SSE stream for server-initiated messages
+  attachStream(res) {
+    this.streams.add(res);
+    this.pending.splice(0).forEach(message => writeSseMessage(res, message));
+    res.on('close', () => this.streams.delete(res));
+  }
+
+  notify(method, params) {
+    const message = { jsonrpc: '2.0', method, params };
+    if (this.streams.size === 0) {
+      this.pending.push(message);
+      if (this.pending.length > MAX_PENDING_MESSAGES) this.pending.shift();
+      return;
+    }
+    this.streams.forEach(res => writeSseMessage(res, message));
+  }
+
+  close() {
+    this.streams.forEach(res => res.end());
+    this.streams.clear();
+    this.pending = [];
+    this.emit('close');
+  }
+}
+
+// A client at its session limit loses its least recently used session, preferring
+// one with no open stream, so repeated initializes cannot grow the table without bound
+export const createSession = (clientId) => {
+  const own = [...sessions.values()].filter(session => session.clientId === clientId);
+  if (own.length >= MAX_SESSIONS_PER_CLIENT) {
+    const [oldest] = own.sort((a, b) => (a.streams.size > 0) - (b.streams.size > 0) || a.lastSeen - b.lastSeen);
+    closeSession(oldest.id);
+  }
+  const session = new Session(clientId);
+  sessions.set(session.id, session);
+  return session;
+};
+
+// The session, if it exists and belongs to `clientId`
+export const getSession = (id, clientId) => {
+  const session = sessions.get(id);
+  if (!session || session.clientId !== clientId) return undefined;
+  session.touch();
+  return session;
+};
+
+export const closeSession = (id) => {
+  const session = sessions.get(id);
+  if (!session) return false;
+  session.close();
+  sessions.delete(id);
+  return true;
+};
+
+export const listSessions = () => [...sessions.values()];
+
+// Drop sessions that have been idle with no open stream for longer than the TTL
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  sessions.forEach(session => {
+    if (session.streams.size === 0 && session.lastSeen < cutoff) {
+      closeSession(session.id);
+    }
+  });
+}, 60 * 1000).unref();
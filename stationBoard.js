@@ -0,0 +1,88 @@
+import { getLiveStation } from './irctcService.js';
+import { normalizeStationBoard } from './models.js';
+
+// Live station board: trains due at a station in the next few hours.
+// One upstream call lists the trains due in the window (only those heading to `to`
+// when it is given). The train type and arrivals/departures filters are applied
+// here, and the board is ordered by when each train is due, using the live
+// expected time where upstream has one.
+
+export const BOARD_HOURS = [1, 2, 4, 8];
+export const BOARD_SHOW = ['all', 'departures', 'arrivals'];
+const IST_OFFSET_MS = 330 * 60 * 1000;
+// Late trains that were due up to this long ago stay on the board
+const RECENT_MINUTES = 60;
+
+const clockMinutes = (time) => (time ? Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5)) : null);
+
+const clockTime = (minutes) => {
+  const inDay = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}`;
+};
+
+// Minutes between an expected and a scheduled clock time, taking the nearer day
+const clockDelay = (expected, scheduled) => (expected && scheduled
+  ? ((clockMinutes(expected) - clockMinutes(scheduled) + 720 + 1440) % 1440) - 720
+  : null);
+
+// When a train is due: its departure, or its arrival when it terminates here
+const withDue = (train, now) => {
+  const terminates = !train.scheduledDeparture && !train.expectedDeparture;
+  const event = terminates ? 'arrival' : 'departure';
+  const scheduled = terminates ? train.scheduledArrival : train.scheduledDeparture;
+  const expected = terminates ? train.expectedArrival : train.expectedDeparture;
+  const arrivalDelay = train.arrivalDelayMinutes ?? clockDelay(train.expectedArrival, train.scheduledArrival);
+  // A train running late into the station is taken to leave as late, unless upstream says otherwise
+  const delay = terminates
+    ? arrivalDelay
+    : train.departureDelayMinutes ?? clockDelay(expected, scheduled) ?? arrivalDelay;
+  const due = expected || (scheduled && delay !== null ? clockTime(clockMinutes(scheduled) + delay) : scheduled);
+
+  const nowMinutes = Math.floor((now + IST_OFFSET_MS) / 60000);
+  const dueInMinutes = due ? ((clockMinutes(due) - (nowMinutes % 1440) + 1440 + RECENT_MINUTES) % 1440) - RECENT_MINUTES : null;
+  return {
+    ...train,
+    event,
+    originates: !train.scheduledArrival && !train.expectedArrival,
+    terminates,
+    due,
+    dueAt: dueInMinutes === null ? null : new Date((nowMinutes + dueInMinutes) * 60000).toISOString().slice(0, 16),
+    dueInMinutes,
+    delayMinutes: delay
+  };
+};
+
+/**
+ * Trains due at `station` in the next `hours` (one of BOARD_HOURS).
+ * `to` keeps trains heading to that station, `trainTypes` those of the given types
+ * (RAJ, SHT, SF, ...) and `show` only departures or only arrivals. Resolves to
+ * `{ data, meta }` like the service calls; `data.listed` counts the trains upstream
+ * listed before the local filters.
+ */
+export const getStationBoard = async ({ station, hours = 4, to, trainTypes, show = 'all' }, { now = Date.now() } = {}) => {
+  const response = await getLiveStation(station, hours, to);
+  const listed = normalizeStationBoard(response.data);
+  const types = trainTypes && trainTypes.length > 0 ? trainTypes.map(type => type.toUpperCase()) : null;
+
+  const trains = listed
+    .map(train => withDue(train, now))
+    .filter(train => (show === 'departures' ? !train.terminates : show === 'arrivals' ? !train.originates : true))
+    .filter(train => !types || types.includes(String(train.type).toUpperCase()))
+    .sort((a, b) => (a.dueInMinutes ?? Infinity) - (b.dueInMinutes ?? Infinity));
+
+  return {
+    data: {
+      station,
+      hours,
+      to: to || null,
+      show,
+      trainTypes: types,
+      listed: listed.length,
+      count: trains.length,
+      trains
+    },
+    meta: response.meta
+  };
+};
+
+export default getStationBoard;
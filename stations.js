@@ -0,0 +1,185 @@
+import { readFileSync } from 'fs';
+import { config } from './config.js';
+
+// Local index of railway stations from data/stations.json.
+// Resolves codes, station names, city names, historical aliases (Bombay -> Mumbai)
+// and misspellings to station codes without calling the IRCTC API. Stations are
+// listed in the data file with each city's main station first; major junctions
+// are flagged as hubs for the journey planner.
+
+const STATIONS_FILE = config.stationsFile || new URL('./data/stations.json', import.meta.url);
+const FUZZY_THRESHOLD = 0.75;
+const MAX_CANDIDATES = 8;
+// A prefix or fuzzy match is only taken as the answer for inputs this long that
+// match this well; shorter or weaker matches ("go", "want") are offered as candidates
+const MIN_GUESS_LENGTH = 4;
+const MIN_GUESS_SCORE = 0.6;
+
+// Lowercase, drop punctuation and generic suffixes: "Pune Jn." -> "pune"
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]+/g, ' ')
+  .replace(/\b(junction|jn|jct|railway station|rly station|station|stn)\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+let index = null;
+
+const load = () => {
+  if (index) return index;
+  const { cityAliases = {}, stations = [] } = JSON.parse(readFileSync(STATIONS_FILE, 'utf8'));
+  const entries = stations.map((station, position) => ({
+    station: { code: station.code, name: station.name, city: station.city, state: station.state },
+    position,
+    city: normalize(station.city),
+    state: normalize(station.state),
+    // Every name the station is known by, normalized
+    names: [...new Set([station.name, ...(station.aliases || [])].map(normalize))],
+    // Approximate (city-level) location, used to pick plausible interchanges
+    coordinates: Number.isFinite(station.lat) && Number.isFinite(station.lon) ? { lat: station.lat, lon: station.lon } : null,
+    hub: station.hub === true
+  }));
+  index = {
+    entries,
+    byCode: new Map(entries.map(entry => [entry.station.code, entry])),
+    cityAliases: new Map(Object.entries(cityAliases).map(([alias, city]) => [normalize(alias), normalize(city)]))
+  };
+  return index;
+};
+
+// Edit distance (adjacent transpositions count as one edit) turned into a 0..1 similarity
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return 1 - rows[a.length][b.length] / Math.max(a.length, b.length);
+};
+
+// The city a query names, through an alias or a close misspelling: "bombay" / "mumbay" -> "mumbai"
+const cityFor = (query, { fuzzy = true } = {}) => {
+  const { entries, cityAliases } = load();
+  if (cityAliases.has(query)) return cityAliases.get(query);
+  const cities = new Set(entries.map(entry => entry.city));
+  if (cities.has(query)) return query;
+  if (!fuzzy) return null;
+
+  let best = null;
+  [...cities, ...cityAliases.keys()].forEach(name => {
+    const value = similarity(query, name);
+    if (value >= FUZZY_THRESHOLD + 0.05 && (!best || value > best.value)) {
+      best = { value, city: cityAliases.get(name) || name };
+    }
+  });
+  return best ? best.city : null;
+};
+
+// How well `query` (normalized) matches one station, from 0 to 1
+const score = (entry, query, city) => {
+  if (entry.station.code.toLowerCase() === query) return 1;
+  if (entry.names.includes(query)) return 0.95;
+  if (entry.city === city) return 0.9;
+  if (entry.names.some(name => name.startsWith(query)) || entry.city.startsWith(query)) return 0.8;
+  if (entry.names.some(name => name.split(' ').some(word => word.startsWith(query)))) return 0.7;
+  const fuzzy = Math.max(
+    similarity(query, entry.city),
+    ...entry.names.map(name => similarity(query, name)),
+    ...entry.names.flatMap(name => name.split(' ').map(word => similarity(query, word)))
+  );
+  return fuzzy >= FUZZY_THRESHOLD ? fuzzy * 0.75 : 0;
+};
+
+const rank = (query) => {
+  const { entries } = load();
+  const normalized = normalize(query);
+  if (!normalized) return [];
+  const city = cityFor(normalized);
+  return entries
+    .map(entry => ({ entry, score: score(entry, normalized, city) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.position - b.entry.position);
+};
+
+export const getStation = (code) => load().byCode.get(String(code || '').toUpperCase())?.station || null;
+
+export const getCoordinates = (code) => load().byCode.get(String(code || '').toUpperCase())?.coordinates || null;
+
+// Major junctions where passengers commonly change trains
+export const listHubs = () => load().entries
+  .filter(entry => entry.hub && entry.coordinates)
+  .map(entry => ({ ...entry.station, coordinates: entry.coordinates }));
+
+/**
+ * Stations matching a code, name, city or alias, best match first.
+ * Each result is a station with the match `score` (0..1).
+ */
+export const searchStations = (query, { limit = 10 } = {}) => rank(query)
+  .slice(0, limit)
+  .map(({ entry, score: matchScore }) => ({ ...entry.station, score: Number(matchScore.toFixed(2)) }));
+
+/**
+ * Resolve user input to a single station code.
+ * Returns `{ status: 'resolved', station }`, `{ status: 'ambiguous', candidates }` when
+ * the input names a city with several stations, matches several places equally well or
+ * only matches loosely, or `{ status: 'not_found', candidates: [] }`.
+ * Upper-case inputs that look like codes but are not in the index are passed through,
+ * since the bundled data only covers major stations.
+ */
+export const resolveStation = (input) => {
+  const raw = String(input || '').trim();
+  const known = getStation(raw);
+  if (known) return { status: 'resolved', station: known };
+
+  const { entries } = load();
+  const normalized = normalize(raw);
+
+  // A city takes precedence over a station of the same name ("Delhi" is not just Delhi Junction),
+  // but an exact station name beats a misspelled city
+  const inCity = (city) => (city ? entries.filter(entry => entry.city === city) : []);
+  const namedExactly = entries.filter(entry => entry.names.includes(normalized));
+  const inState = entries.filter(entry => entry.state === normalized);
+
+  let group = normalized ? inCity(cityFor(normalized, { fuzzy: false })) : [];
+  if (group.length === 0) group = namedExactly;
+  if (group.length === 0 && normalized) group = inCity(cityFor(normalized));
+  if (group.length === 0) group = inState;
+  if (group.length === 1) return { status: 'resolved', station: group[0].station };
+  if (group.length > 1) {
+    return { status: 'ambiguous', candidates: group.slice(0, MAX_CANDIDATES).map(entry => entry.station) };
+  }
+
+  if (/^[A-Z]{1,5}$/.test(raw)) {
+    return { status: 'resolved', station: { code: raw, name: null, city: null, state: null } };
+  }
+
+  // Prefix and fuzzy matches: only resolve when one station is clearly the best
+  const matches = rank(raw);
+  const best = matches[0];
+  if (!best) return { status: 'not_found', candidates: [] };
+  const close = matches.filter(match => best.score - match.score < 0.05);
+  if (close.length === 1 && normalized.length >= MIN_GUESS_LENGTH && best.score >= MIN_GUESS_SCORE) {
+    return { status: 'resolved', station: best.entry.station };
+  }
+
+  return { status: 'ambiguous', candidates: close.slice(0, MAX_CANDIDATES).map(match => match.entry.station) };
+};
+
+export default {
+  getStation,
+  getCoordinates,
+  listHubs,
+  searchStations,
+  resolveStation
+};
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+import readline from 'readline';
+
+// stdout carries the JSON-RPC stream, so every log line must go to stderr.
+// This has to happen before the services are loaded, hence the dynamic import below.
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const { getLogger, logToStderr } = await import('./logger.js');
+logToStderr();
+const log = getLogger('stdio');
+
+const { assertConfig } = await import('./config.js');
+const { toolConfigProblems } = await import('./toolRegistry.js');
+try {
+  assertConfig(toolConfigProblems());
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const { mcpServer } = await import('./mcpServer.js');
+
+const send = (message) => {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+};
+
+const errorResponse = (code, message, data, id = null) => ({
+  jsonrpc: '2.0',
+  error: { code, message, data },
+  id
+});
+
+// The stdio client is the local user; server-to-client notifications share stdout with responses
+const context = {
+  auth: { clientId: 'stdio', name: 'stdio', scopes: ['*'], type: 'local' },
+  notify: (method, params) => send({ jsonrpc: '2.0', method, params })
+};
+
+// Handle one line: a JSON-RPC message or batch. Notifications never get a reply
+const handleLine = async (line) => {
+  if (line.trim() === '') return;
+
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch (error) {
+    send(errorResponse(-32700, 'Parse error', `Invalid JSON: ${error.message}`));
+    return;
+  }
+
+  const response = await mcpServer.handleMessage(payload, context);
+  if (response) send(response);
+};
+
+const pending = new Set();
+const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+rl.on('line', (line) => {
+  const task = handleLine(line)
+    .catch(error => log.error('Failed to handle message', { error }))
+    .finally(() => pending.delete(task));
+  pending.add(task);
+});
+
+// Exit once the client closes stdin and in-flight requests have been answered
+rl.on('close', async () => {
+  await Promise.allSettled([...pending]);
+  process.exit(0);
+});
+
+log.info('MCP server running on stdio');
@@ -0,0 +1,171 @@
+import { mcpServer, SUPPORTED_PROTOCOL_VERSIONS } from './mcpServer.js';
+import { createSession, getSession, closeSession, writeSseMessage } from './sessions.js';
+import { getLogger } from './logger.js';
+
+// Streamable HTTP transport for POST/GET/DELETE /mcp.
+// Clients that never send an Mcp-Session-Id (2024-11-05 style) keep the plain
+// request/response behaviour; session-bound clients get the newer transport semantics.
+
+const log = getLogger('mcp-http');
+
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+const jsonRpcError = (code, message, data, id = null) => ({
+  jsonrpc: '2.0',
+  error: { code, message, data },
+  id
+});
+
+// Accept payloads that arrive double-stringified from some clients
+const parsePayload = (body) => {
+  let payload = body;
+
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+      // Handle case where the parsed payload is still a string
+      if (typeof payload === 'string') {
+        try {
+          payload = JSON.parse(payload);
+        } catch (e) {
+          // If second parse fails, use the string as is
+        }
+      }
+    } catch (e) {
+      // If parsing fails, try to clean up the string
+      const cleaned = payload
+        .replace(/^"+|"+$/g, '')
+        .replace(/\\"/g, '"')
+        .replace(/\\\\/g, '\\');
+      payload = JSON.parse(cleaned);
+    }
+  }
+
+  return payload;
+};
+
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': keep-alive\n\n');
+  }, SSE_HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
+};
+
+// Look up the session named by the Mcp-Session-Id header, answering 400/404 when it is unusable.
+// A session created with other credentials is reported as unknown, like one that never existed
+const requireSession = (req, res) => {
+  const sessionId = req.header('Mcp-Session-Id');
+  if (!sessionId) {
+    res.status(400).json(jsonRpcError(-32600, 'Bad Request', 'Mcp-Session-Id header is required'));
+    return null;
+  }
+  const session = getSession(sessionId, req.auth?.clientId);
+  if (!session) {
+    res.status(404).json(jsonRpcError(-32001, 'Session not found', `Unknown or expired session: ${sessionId}`));
+    return null;
+  }
+  return session;
+};
+
+export const handleMcpPost = async (req, res) => {
+  let payload;
+  try {
+    payload = parsePayload(req.body);
+  } catch (parseError) {
+    return res.status(400).json(jsonRpcError(-32700, 'Parse error', `Invalid JSON: ${parseError.message}`));
+  }
+
+  const messages = Array.isArray(payload) ? payload : [payload];
+  const isInitialize = messages.some(message => message?.method === 'initialize');
+
+  const protocolVersion = req.header('Mcp-Protocol-Version');
+  if (protocolVersion && !isInitialize && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    return res.status(400).json(jsonRpcError(-32600, 'Bad Request', `Unsupported protocol version: ${protocolVersion}`));
+  }
+
+  let session = null;
+  if (req.header('Mcp-Session-Id')) {
+    session = requireSession(req, res);
+    if (!session) return;
+  } else if (isInitialize) {
+    session = createSession(req.auth.clientId);
+  }
+
+  // Sessionless clients have no channel for server-initiated messages
+  const context = session ? { auth: req.auth, session, notify: session.notify.bind(session) } : { auth: req.auth };
+  if (session) res.set('Mcp-Session-Id', session.id);
+
+  try {
+    // Tool calls may run for a while: answer over SSE so progress and other
+    // notifications can be interleaved before the final response
+    const wantsStream = (req.header('Accept') || '').includes('text/event-stream');
+    if (session && wantsStream && messages.some(message => message?.method === 'tools/call')) {
+      openEventStream(res);
+      const streamContext = {
+        ...context,
+        notify: (method, params) => writeSseMessage(res, { jsonrpc: '2.0', method, params })
+      };
+      try {
+        const response = await mcpServer.handleMessage(payload, streamContext);
+        if (response) writeSseMessage(res, response);
+      } catch (error) {
+        log.error('MCP stream error', { error });
+        writeSseMessage(res, jsonRpcError(-32603, 'Internal error', error.message));
+      } finally {
+        res.end();
+      }
+      return;
+    }
+
+    const response = await mcpServer.handleMessage(payload, context);
+
+    // Only notifications (or responses): acknowledged without a body
+    if (!response) {
+      return res.status(202).end();
+    }
+    // A failed initialize leaves no session behind, whether it came alone or in a batch
+    const initializeIds = messages.filter(message => message?.method === 'initialize').map(message => message.id);
+    const initializeFailed = (Array.isArray(response) ? response : [response])
+      .some(item => item.error && (initializeIds.includes(item.id) || !Array.isArray(response)));
+    if (isInitialize && initializeFailed && !req.header('Mcp-Session-Id')) {
+      closeSession(session.id);
+      res.removeHeader('Mcp-Session-Id');
+    }
+    res.json(response);
+  } catch (error) {
+    log.error('MCP request error', { error });
+    res.status(500).json(jsonRpcError(-32603, 'Internal error', error.message));
+  }
+};
+
+// GET /mcp opens an SSE stream for server-initiated notifications
+export const handleMcpGet = (req, res) => {
+  if (!(req.header('Accept') || '').includes('text/event-stream')) {
+    return res.status(405).set('Allow', 'POST, DELETE').json(
+      jsonRpcError(-32600, 'Method not allowed', 'GET /mcp requires Accept: text/event-stream')
+    );
+  }
+
+  const session = requireSession(req, res);
+  if (!session) return;
+
+  res.set('Mcp-Session-Id', session.id);
+  openEventStream(res);
+  session.attachStream(res);
+};
+
+// DELETE /mcp ends a session and closes its streams
+export const handleMcpDelete = (req, res) => {
+  const session = requireSession(req, res);
+  if (!session) return;
+
+  closeSession(session.id);
+  res.status(204).end();
+};
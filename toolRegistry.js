@@ -0,0 +1,128 @@
+import { readFileSync, statSync } from 'fs';
+import { config } from './config.js';
+import { getLogger } from './logger.js';
+import searchTrains from './tools/searchTrains.js';
+import searchStations from './tools/searchStations.js';
+import getPnrStatus from './tools/getPnrStatus.js';
+import watchPnr from './tools/watchPnr.js';
+import unwatchPnr from './tools/unwatchPnr.js';
+import listWatchedPnrs from './tools/listWatchedPnrs.js';
+import getTrainSchedule from './tools/getTrainSchedule.js';
+import getLiveTrainStatus from './tools/getLiveTrainStatus.js';
+import stationBoard from './tools/stationBoard.js';
+import checkSeatAvailability from './tools/checkSeatAvailability.js';
+import availabilityMatrix from './tools/availabilityMatrix.js';
+import planJourney from './tools/planJourney.js';
+import searchFlights from './tools/searchFlights.js';
+
+// The MCP tools this server offers.
+// Each module in tools/ is self-contained: name, description, input and output
+// schemas, the scope that grants it, annotations and the handler. A tool is enabled
+// unless it is named in TOOLS_DISABLED or in the `disabled` list of TOOLS_FILE; the
+// file is re-read when it changes, and listeners hear about the new set of tools.
+
+const log = getLogger('tools');
+
+// In tools/list order
+const TOOLS = [
+  searchTrains,
+  searchStations,
+  getPnrStatus,
+  watchPnr,
+  unwatchPnr,
+  listWatchedPnrs,
+  getTrainSchedule,
+  getLiveTrainStatus,
+  stationBoard,
+  checkSeatAvailability,
+  availabilityMatrix,
+  planJourney,
+  searchFlights
+];
+
+const TOOLS_FILE = config.toolsFile;
+const FILE_CHECK_MS = 5 * 1000;
+
+const byName = new Map(TOOLS.map(tool => [tool.name, tool]));
+const envDisabled = (config.toolsDisabled || '').split(',').map(name => name.trim()).filter(Boolean);
+const listeners = new Set();
+
+let fileDisabled = [];
+let loadedMtime = null;
+
+// (Re)load TOOLS_FILE when it changes on disk. A missing file disables nothing, and
+// a file that cannot be read leaves the current tools in place
+const loadFile = () => {
+  try {
+    let mtime = null;
+    try {
+      mtime = statSync(TOOLS_FILE).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (mtime === loadedMtime) return;
+    loadedMtime = mtime;
+
+    const { disabled = [] } = mtime === null ? {} : JSON.parse(readFileSync(TOOLS_FILE, 'utf8'));
+    if (!Array.isArray(disabled)) throw new Error('`disabled` must be an array of tool names');
+    const unknown = disabled.filter(name => !byName.has(name));
+    if (unknown.length > 0) log.warn('Unknown tools in the tools file', { file: TOOLS_FILE, unknown });
+    fileDisabled = disabled;
+  } catch (error) {
+    log.warn('Could not read the tools file; keeping the current tools', { file: TOOLS_FILE, error });
+  }
+};
+
+const enabledNames = () => {
+  const disabled = new Set([...envDisabled, ...fileDisabled]);
+  return TOOLS.map(tool => tool.name).filter(name => !disabled.has(name));
+};
+
+loadFile();
+let enabled = enabledNames();
+
+// Enabled tools, in tools/list order
+export const listTools = () => enabled.map(name => byName.get(name));
+
+// The named tool, or undefined when it does not exist or is disabled
+export const getTool = (name) => (enabled.includes(name) ? byName.get(name) : undefined);
+
+/**
+ * Call `listener(tools)` whenever the set of enabled tools changes.
+ * Returns a function that removes the listener.
+ */
+export const onToolsChanged = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Pick up configuration changes now rather than at the next check
+export const refreshTools = () => {
+  loadFile();
+  const next = enabledNames();
+  if (next.length === enabled.length && next.every((name, index) => name === enabled[index])) return false;
+
+  enabled = next;
+  log.info('Enabled tools changed', { enabled, disabled: TOOLS.map(tool => tool.name).filter(name => !enabled.includes(name)) });
+  const tools = listTools();
+  listeners.forEach(listener => listener(tools));
+  return true;
+};
+
+// Problems with TOOLS_DISABLED for the startup configuration check
+export const toolConfigProblems = () => {
+  const unknown = envDisabled.filter(name => !byName.has(name));
+  return unknown.length > 0
+    ? [{ field: 'TOOLS_DISABLED', message: `names unknown tools: ${unknown.join(', ')} (known: ${[...byName.keys()].join(', ')})` }]
+    : [];
+};
+
+setInterval(refreshTools, FILE_CHECK_MS).unref();
+
+export default {
+  listTools,
+  getTool,
+  onToolsChanged,
+  refreshTools,
+  toolConfigProblems
+};
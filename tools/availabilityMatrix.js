@@ -0,0 +1,114 @@
+import { buildAvailabilityMatrix, dateRange, MAX_MATRIX_DAYS } from '../availabilityMatrix.js';
+import { unresolvedStationsSchema, CLASS_TYPES, QUOTAS } from '../models.js';
+import { toolResult, invalidArguments, resolveStationArgs, stationChoices, STATION_CODE_OR_NAME, TRAIN_NUMBER, TRAVEL_DATE } from './shared.js';
+
+const MATRIX_CLASSES = CLASS_TYPES.slice(0, 4);
+
+export default {
+  name: 'availability_matrix',
+  description: 'Check seat availability for a train over a range of dates and several classes and quotas, with a per-class summary such as the first date with confirmed seats. Send a progressToken to receive each row as it arrives',
+  scope: 'trains:read',
+  annotations: { title: 'Seat availability across dates', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { ...TRAIN_NUMBER, description: '5-digit train number' },
+      from: { ...STATION_CODE_OR_NAME, description: 'Source station code or name' },
+      to: { ...STATION_CODE_OR_NAME, description: 'Destination station code or name' },
+      startDate: { ...TRAVEL_DATE, description: 'First travel date (YYYY-MM-DD), today or later' },
+      endDate: { type: 'string', format: 'date', description: `Last travel date (YYYY-MM-DD), at most ${MAX_MATRIX_DAYS} days in all; defaults to a week from startDate` },
+      classes: {
+        type: 'array',
+        items: { type: 'string', enum: CLASS_TYPES },
+        minItems: 1,
+        maxItems: 4,
+        description: `Classes to check, defaults to ${MATRIX_CLASSES.join(', ')}`
+      },
+      quotas: {
+        type: 'array',
+        items: { type: 'string', enum: QUOTAS },
+        minItems: 1,
+        maxItems: 2,
+        description: 'Quotas to check, defaults to GN'
+      }
+    },
+    required: ['trainNo', 'from', 'to', 'startDate']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      startDate: { type: 'string' },
+      endDate: { type: 'string' },
+      dates: { type: 'array', items: { type: 'string' } },
+      grid: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            classType: { type: 'string' },
+            quota: { type: 'string' },
+            cells: { type: 'array', items: { type: ['object', 'null'] }, description: 'SeatAvailability per entry of `dates`; null where unknown' }
+          },
+          required: ['classType', 'quota', 'cells']
+        }
+      },
+      trends: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            classType: { type: 'string' },
+            quota: { type: 'string' },
+            firstAvailableDate: { type: ['string', 'null'] },
+            availableDays: { type: 'integer' },
+            waitlist: { type: ['object', 'null'] },
+            summary: { type: 'string' }
+          },
+          required: ['classType', 'quota', 'firstAvailableDate', 'summary']
+        }
+      },
+      complete: { type: 'boolean' },
+      stopped: { type: ['object', 'null'], description: 'Why the matrix is incomplete: rate_limited or upstream_unavailable (with retryAfter), or request_budget' },
+      unresolved: unresolvedStationsSchema
+    },
+    required: ['trainNo', 'from', 'to', 'startDate', 'endDate', 'grid', 'trends']
+  },
+
+  // Rows are streamed as they fill when the caller sends a progressToken
+  async handler({ trainNo, from, to, startDate, endDate, classes = MATRIX_CLASSES, quotas = ['GN'] }, context = {}) {
+    const dates = dateRange(startDate, endDate);
+    const lastDate = dates[dates.length - 1];
+    if (dates.length === 0 || dates.length > MAX_MATRIX_DAYS) {
+      const message = dates.length === 0 ? 'must not be before startDate' : `must be within ${MAX_MATRIX_DAYS} days of startDate`;
+      throw invalidArguments('availability_matrix', [{ field: 'endDate', message }]);
+    }
+
+    const { codes, unresolved } = resolveStationArgs({ from, to }, ['from', 'to']);
+    if (unresolved) {
+      return stationChoices('availability_matrix', unresolved, { trainNo, from, to, startDate, endDate: lastDate, grid: [], trends: [] });
+    }
+
+    const { progressToken, progress, notify } = context;
+    const onProgress = progressToken !== undefined && notify
+      ? ({ covered, total, row }) => {
+        progress({ progress: covered, total, message: `${row.classType}/${row.quota}: ${covered} of ${total} dates checked` });
+        notify('notifications/message', { level: 'info', logger: 'availability_matrix', data: { progressToken, trainNo, row } });
+      }
+      : undefined;
+
+    const matrix = await buildAvailabilityMatrix(
+      { trainNo, from: codes.from, to: codes.to, startDate, endDate: lastDate, classes, quotas },
+      { onProgress }
+    );
+    const incomplete = matrix.stopped
+      ? ` Stopped early (${matrix.stopped.reason}${matrix.stopped.retryAfter ? `, retry in ${matrix.stopped.retryAfter}s` : ''}); call again to fill the gaps.`
+      : '';
+    return toolResult(
+      `Availability for train ${trainNo} from ${startDate} to ${lastDate}: ${matrix.trends.map(trend => trend.summary).join('; ')}.${incomplete}`,
+      matrix
+    );
+  }
+};
@@ -0,0 +1,50 @@
+import { checkSeatAvailability } from '../irctcService.js';
+import { normalizeSeatAvailability, seatAvailabilitySchema, unresolvedStationsSchema, CLASS_TYPES, QUOTAS } from '../models.js';
+import { toolResult, resolveStationArgs, stationChoices, STATION_CODE_OR_NAME, TRAIN_NUMBER, TRAVEL_DATE } from './shared.js';
+
+export default {
+  name: 'check_seat_availability',
+  description: 'Check seat availability for a train',
+  scope: 'trains:read',
+  annotations: { title: 'Seat availability', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { ...TRAIN_NUMBER, description: '5-digit train number' },
+      from: { ...STATION_CODE_OR_NAME, description: 'Source station code or name' },
+      to: { ...STATION_CODE_OR_NAME, description: 'Destination station code or name' },
+      classType: { type: 'string', enum: CLASS_TYPES, description: 'Class type (SL, 3A, 2A, 1A, ...), defaults to 3A' },
+      quota: { type: 'string', enum: QUOTAS, description: 'Quota type (GN, TQ, ...), defaults to GN' },
+      date: { ...TRAVEL_DATE, description: 'First travel date to check (YYYY-MM-DD), defaults to the next few days' }
+    },
+    required: ['trainNo', 'from', 'to']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      classType: { type: 'string' },
+      quota: { type: 'string' },
+      days: { type: 'array', items: seatAvailabilitySchema },
+      unresolved: unresolvedStationsSchema
+    },
+    required: ['trainNo', 'from', 'to', 'classType', 'quota', 'days']
+  },
+
+  async handler({ trainNo, from, to, classType = '3A', quota = 'GN', date }) {
+    const { codes, unresolved } = resolveStationArgs({ from, to }, ['from', 'to']);
+    if (unresolved) {
+      return stationChoices('check_seat_availability', unresolved, { trainNo, from, to, classType, quota, days: [] });
+    }
+
+    const response = await checkSeatAvailability(trainNo, codes.from, codes.to, classType, quota, date);
+    const availability = normalizeSeatAvailability(response.data, { trainNo, from: codes.from, to: codes.to, classType, quota });
+    const first = availability.days[0];
+    return toolResult(
+      `Seat availability for train ${trainNo} (${classType}/${quota})${first ? `: ${first.statusText || first.status} on ${first.date}` : ''}`,
+      availability
+    );
+  }
+};
@@ -0,0 +1,143 @@
+import { getLiveStatus, MAX_START_DAYS_AGO } from '../liveStatus.js';
+import { unresolvedStationsSchema } from '../models.js';
+import { toolResult, resolveStationArgs, stationChoices, STATION_CODE_OR_NAME, TRAIN_NUMBER } from './shared.js';
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const TIMELINE_STATUSES = ['departed', 'current', 'arrived', 'upcoming'];
+
+const delayText = (minutes) => {
+  if (minutes === null) return 'delay unknown';
+  if (minutes === 0) return 'on time';
+  return minutes > 0 ? `${minutes} min late` : `${-minutes} min early`;
+};
+
+const TREND_TEXT = { losing_time: ' and losing time', recovering: ' and making up time', steady: '' };
+
+const summarize = ({ trainNo, trainName, startDate, startDateInferred, candidates, status, station, delay }) => {
+  const train = `Train ${trainNo}${trainName ? ` (${trainName})` : ''}`;
+  if (!status) {
+    return `${train} has ${candidates.length} runs that may be on the line: ${candidates.map(run => `${run.startDate} (${run.timetableState.replace('_', ' ')})`).join(', ')}. Call get_live_train_status again with startDate.`;
+  }
+
+  const where = status.atDestination
+    ? 'arrived at its destination'
+    : status.currentStation ? `last reported at ${status.currentStation.code}${status.currentStation.name ? ` (${status.currentStation.name})` : ''}` : 'no position reported yet';
+  let text = `${train}, run of ${startDate}: ${where}, ${delayText(delay.currentMinutes)}${TREND_TEXT[delay.trend] || ''}.`;
+  if (station?.expectedArrival) {
+    const reached = ['departed', 'current', 'arrived'].includes(station.status);
+    text += ` ${reached ? 'Reached' : 'Expected at'} ${station.code} at ${station.expectedArrival.replace('T', ' ')}${station.scheduledArrival ? ` (scheduled ${station.scheduledArrival.replace('T', ' ')})` : ''}.`;
+  }
+  if (startDateInferred && candidates.length > 1) {
+    text += ' Run chosen from the timetable; pass startDate for another.';
+  }
+  return text;
+};
+
+export default {
+  name: 'get_live_train_status',
+  description: 'Where a train is now: current or last station, delay, expected arrival at a chosen station and a per-stop delay timeline against the timetable. Trains on the line for several days can have several runs at once; pass startDate to choose one',
+  scope: 'trains:read',
+  annotations: { title: 'Live train status', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { ...TRAIN_NUMBER, description: '5-digit train number' },
+      startDate: { type: 'string', format: 'date', description: `Date the run left its origin (YYYY-MM-DD), today or up to ${MAX_START_DAYS_AGO} days ago; picked from the timetable when clear` },
+      station: { ...STATION_CODE_OR_NAME, description: 'Station code or name on the route to report the expected arrival for' }
+    },
+    required: ['trainNo']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { type: 'string' },
+      trainName: nullable('string'),
+      startDate: { ...nullable('string'), description: 'Date the reported run left its origin; null when the run is ambiguous' },
+      startDateInferred: { type: 'boolean' },
+      candidates: {
+        type: ['array', 'null'],
+        description: 'Runs that may be on the line when no startDate was given',
+        items: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string' },
+            startDay: { type: 'integer' },
+            scheduledDeparture: { type: 'string' },
+            scheduledArrival: { type: 'string' },
+            timetableState: { type: 'string', enum: ['not_started', 'running', 'completed'] }
+          },
+          required: ['startDate', 'startDay', 'timetableState']
+        }
+      },
+      status: {
+        type: ['object', 'null'],
+        properties: {
+          currentStation: { type: ['object', 'null'] },
+          statusText: nullable('string'),
+          asOf: nullable('string'),
+          delayMinutes: nullable('integer'),
+          atSource: { type: 'boolean' },
+          atDestination: { type: 'boolean' },
+          runsOnStartDate: nullable('boolean')
+        }
+      },
+      station: {
+        type: ['object', 'null'],
+        properties: {
+          code: { type: 'string' },
+          status: { type: 'string', enum: TIMELINE_STATUSES },
+          scheduledArrival: nullable('string'),
+          expectedArrival: nullable('string'),
+          delayMinutes: nullable('integer'),
+          projected: { type: 'boolean', description: 'Expected arrival is the timetable plus the current delay' }
+        }
+      },
+      delay: {
+        type: ['object', 'null'],
+        properties: {
+          currentMinutes: nullable('integer'),
+          atOriginMinutes: nullable('integer'),
+          maxMinutes: nullable('integer'),
+          changeMinutes: nullable('integer'),
+          trend: { type: ['string', 'null'], enum: ['losing_time', 'recovering', 'steady', null] }
+        }
+      },
+      timeline: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sequence: { type: 'integer' },
+            code: { type: 'string' },
+            day: { type: 'integer' },
+            scheduledArrival: nullable('string'),
+            scheduledDeparture: nullable('string'),
+            liveArrival: { ...nullable('string'), description: 'Actual at passed stops, expected at the rest (YYYY-MM-DDTHH:MM, IST)' },
+            liveDeparture: nullable('string'),
+            delayMinutes: nullable('integer'),
+            platform: nullable('string'),
+            status: { type: 'string', enum: TIMELINE_STATUSES }
+          },
+          required: ['sequence', 'code', 'status']
+        }
+      },
+      unresolved: unresolvedStationsSchema
+    },
+    required: ['trainNo', 'startDate', 'timeline']
+  },
+
+  async handler({ trainNo, startDate, station }) {
+    let stationCode;
+    if (station) {
+      const { codes, unresolved } = resolveStationArgs({ station }, ['station']);
+      if (unresolved) {
+        return stationChoices('get_live_train_status', unresolved, { trainNo, startDate: startDate || null, timeline: [] });
+      }
+      stationCode = codes.station;
+    }
+
+    const report = await getLiveStatus({ trainNo, startDate, station: stationCode });
+    return toolResult(summarize(report), report);
+  }
+};
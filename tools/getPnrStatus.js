@@ -0,0 +1,30 @@
+import { getPNRStatus } from '../irctcService.js';
+import { normalizePnrStatus, pnrStatusSchema } from '../models.js';
+import { toolResult, PNR_NUMBER } from './shared.js';
+
+export default {
+  name: 'get_pnr_status',
+  description: 'Get PNR status for a train ticket',
+  scope: 'pnr:read',
+  annotations: { title: 'PNR status', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pnr: { ...PNR_NUMBER, description: '10-digit PNR number' }
+    },
+    required: ['pnr']
+  },
+  outputSchema: pnrStatusSchema,
+
+  async handler({ pnr }) {
+    const response = await getPNRStatus(pnr);
+    const status = normalizePnrStatus(response.data, pnr);
+    const passengers = status.passengers
+      .map(passenger => `P${passenger.number}: ${passenger.current.raw || passenger.current.state}`)
+      .join(', ');
+    return toolResult(
+      `PNR Status for ${pnr}${status.trainNo ? ` (train ${status.trainNo}${status.journeyDate ? ` on ${status.journeyDate}` : ''})` : ''}${passengers ? `: ${passengers}` : ''}`,
+      status
+    );
+  }
+};
@@ -0,0 +1,35 @@
+import { getTrainSchedule } from '../irctcService.js';
+import { normalizeSchedule, scheduleStopSchema } from '../models.js';
+import { toolResult, TRAIN_NUMBER } from './shared.js';
+
+export default {
+  name: 'get_train_schedule',
+  description: 'Get detailed schedule for a train',
+  scope: 'trains:read',
+  annotations: { title: 'Train schedule', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { ...TRAIN_NUMBER, description: '5-digit train number' }
+    },
+    required: ['trainNo']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      trainNo: { type: 'string' },
+      trainName: { type: ['string', 'null'] },
+      stops: { type: 'array', items: scheduleStopSchema }
+    },
+    required: ['trainNo', 'stops']
+  },
+
+  async handler({ trainNo }) {
+    const response = await getTrainSchedule(trainNo);
+    const schedule = normalizeSchedule(response.data, trainNo);
+    return toolResult(
+      `Schedule for train ${trainNo}${schedule.trainName ? ` (${schedule.trainName})` : ''}: ${schedule.stops.length} stops`,
+      schedule
+    );
+  }
+};
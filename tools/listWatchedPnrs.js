@@ -0,0 +1,32 @@
+import { listWatchedPnrs, pnrWatchSchema } from '../pnrWatch.js';
+import { toolResult } from './shared.js';
+
+export default {
+  name: 'list_watched_pnrs',
+  description: 'List the PNRs you are watching with their latest known status',
+  scope: 'pnr:watch',
+  annotations: { title: 'Watched PNRs', readOnlyHint: true, openWorldHint: false },
+  inputSchema: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      watches: { type: 'array', items: pnrWatchSchema }
+    },
+    required: ['count', 'watches']
+  },
+
+  async handler(args, context = {}) {
+    const watches = listWatchedPnrs(context.auth?.clientId || 'anonymous');
+    return toolResult(
+      watches.length > 0
+        ? `Watching ${watches.length} PNRs: ${watches.map(watch => `${watch.pnr} (${watch.summary})`).join(', ')}`
+        : 'No PNRs are being watched',
+      { count: watches.length, watches }
+    );
+  }
+};
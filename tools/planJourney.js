@@ -0,0 +1,98 @@
+import { planJourney, PLAN_DEFAULTS } from '../journeyPlanner.js';
+import { unresolvedStationsSchema } from '../models.js';
+import { toolResult, resolveStationArgs, stationChoices, STATION_CODE_OR_NAME, TRAVEL_DATE } from './shared.js';
+
+export default {
+  name: 'plan_journey',
+  description: 'Plan a train journey, including itineraries with one or two changes at junctions on the way when there is no convenient direct train. Each leg carries the arguments for check_seat_availability',
+  scope: 'trains:read',
+  annotations: { title: 'Plan a train journey', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      from: { ...STATION_CODE_OR_NAME, description: 'Source station code or name' },
+      to: { ...STATION_CODE_OR_NAME, description: 'Destination station code or name' },
+      date: { ...TRAVEL_DATE, description: 'Travel date (YYYY-MM-DD), today or later' },
+      via: {
+        type: 'array',
+        items: { type: 'string', pattern: '^[A-Za-z]{1,5}$', description: 'Station code' },
+        minItems: 1,
+        maxItems: 2,
+        description: 'Interchange station codes to try instead of the automatically chosen junctions'
+      },
+      maxChanges: { type: 'integer', minimum: 0, maximum: 2, description: `Maximum number of changes, defaults to ${PLAN_DEFAULTS.maxChanges}` },
+      minLayoverMinutes: { type: 'integer', minimum: 0, maximum: 720, description: `Minimum time to change trains, defaults to ${PLAN_DEFAULTS.minLayoverMinutes}` },
+      maxDurationHours: { type: 'integer', minimum: 1, maximum: 96, description: `Longest total journey to consider, defaults to ${PLAN_DEFAULTS.maxDurationHours}` },
+      sortBy: { type: 'string', enum: ['arrival', 'duration', 'changes'], description: 'Ranking, defaults to earliest arrival' },
+      limit: { type: 'integer', minimum: 1, maximum: 20, description: `Number of itineraries to return, defaults to ${PLAN_DEFAULTS.limit}` }
+    },
+    required: ['from', 'to', 'date']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      date: { type: 'string' },
+      count: { type: 'integer' },
+      itineraries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            changes: { type: 'integer' },
+            departure: { type: 'string', description: 'YYYY-MM-DDTHH:MM (IST)' },
+            arrival: { type: 'string', description: 'YYYY-MM-DDTHH:MM (IST)' },
+            totalDurationMinutes: { type: 'integer' },
+            legs: { type: 'array', items: { type: 'object' } }
+          },
+          required: ['changes', 'departure', 'arrival', 'totalDurationMinutes', 'legs']
+        }
+      },
+      partial: { type: 'boolean', description: 'Some interchanges were not tried (quota) or some searches failed' },
+      searched: {
+        type: 'object',
+        description: 'Interchanges tried, those left out to stay within the quota (dropped) and leg searches that failed (skipped)',
+        properties: {
+          interchanges: { type: 'array', items: { type: 'string' } },
+          upstreamSearches: { type: 'integer' },
+          budget: { type: ['integer', 'null'], description: 'Upstream searches the quota allowed; null when unmetered' },
+          planned: { type: 'integer' },
+          dropped: { type: 'array', items: { type: 'string' } },
+          skipped: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      unresolved: unresolvedStationsSchema
+    },
+    required: ['from', 'to', 'date', 'count', 'itineraries']
+  },
+
+  // Each finished leg search is reported as progress when the caller sends a progressToken
+  async handler({ from, to, date, via, ...options }, { progress } = {}) {
+    const { codes, unresolved } = resolveStationArgs({ from, to }, ['from', 'to']);
+    if (unresolved) {
+      return stationChoices('plan_journey', unresolved, { from, to, date, count: 0, itineraries: [] });
+    }
+
+    const plan = await planJourney(
+      { from: codes.from, to: codes.to, date, via, ...options },
+      { onProgress: progress && (({ searched, message }) => progress({ progress: searched, message })) }
+    );
+    const best = plan.itineraries[0];
+    const route = (itinerary) => itinerary.legs.map(leg => `${leg.trainNo} ${leg.from.code}-${leg.to.code}`).join(', ');
+    const { skipped, dropped } = plan.searched;
+    const rateLimited = skipped.filter(search => search.reason === 'RATE_LIMIT_EXCEEDED').length;
+    const notes = [
+      dropped.length > 0 && `Partial result: the quota allowed only ${plan.searched.budget} search${plan.searched.budget === 1 ? '' : 'es'}, so interchanges ${dropped.join(', ')} were not tried`,
+      rateLimited > 0 && `Partial result: ${rateLimited} leg searches ran out of quota`,
+      skipped.length > rateLimited && `${skipped.length - rateLimited} leg searches failed`
+    ].filter(Boolean);
+    const note = notes.length > 0 ? `. ${notes.join('. ')}; try again later for a complete plan` : '';
+    return toolResult(
+      best
+        ? `Found ${plan.count} itineraries from ${codes.from} to ${codes.to} on ${date}. Best: ${route(best)}, arriving ${best.arrival}${note}`
+        : `No itineraries found from ${codes.from} to ${codes.to} on ${date}${note}`,
+      plan
+    );
+  }
+};
@@ -0,0 +1,44 @@
+import { searchFlights } from '../flightService.js';
+import { toolResult, invalidArguments, TRAVEL_DATE } from './shared.js';
+
+export default {
+  name: 'search_flights',
+  description: 'Search for flights, with prices converted to INR',
+  scope: 'flights:read',
+  annotations: { title: 'Search flights', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      origin: { type: 'string', minLength: 2, maxLength: 50, description: 'Origin airport code or city' },
+      // The tool's original arguments were `query` (the origin) and a string `limit`; both still work
+      query: { type: 'string', minLength: 2, maxLength: 50, description: 'Same as origin (older name); one of the two is required' },
+      destination: { type: 'string', minLength: 2, maxLength: 50, description: 'Destination airport code or city (omit for deals to anywhere)' },
+      date: { ...TRAVEL_DATE, description: 'Departure date (YYYY-MM-DD), defaults to today' },
+      passengers: { type: 'integer', minimum: 1, maximum: 9, description: 'Number of passengers' },
+      sortBy: { type: 'string', enum: ['price', 'departure', 'duration'], description: 'Sort order' },
+      limit: { type: ['integer', 'string'], minimum: 1, maximum: 50, pattern: '^[0-9]+$', description: 'Number of results to return' }
+    }
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      search: { type: 'object' },
+      currency: { type: 'string' },
+      count: { type: 'integer' },
+      flights: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['search', 'count', 'flights']
+  },
+
+  async handler({ origin, query, destination, date, passengers, sortBy, limit }) {
+    if (!origin && !query) {
+      throw invalidArguments('search_flights', [{ field: 'origin', message: 'is required (or query)' }]);
+    }
+    const flights = await searchFlights({ origin: origin || query, destination, date, passengers, sortBy, limit });
+    const { search, currency } = flights.meta;
+    return toolResult(
+      `Found ${flights.data.length} flights from ${search.origin}${search.destination ? ` to ${search.destination}` : ''} on ${search.date}`,
+      { search, currency, count: flights.data.length, flights: flights.data }
+    );
+  }
+};
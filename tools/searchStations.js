@@ -0,0 +1,43 @@
+import { searchStation } from '../irctcService.js';
+import { normalizeStations, stationSchema } from '../models.js';
+import { searchStations } from '../stations.js';
+import { toolResult } from './shared.js';
+
+export default {
+  name: 'search_stations',
+  description: 'Search for railway stations by code, name or city (answered from the bundled station index when possible)',
+  scope: 'trains:read',
+  annotations: { title: 'Search stations', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 1, maxLength: 50, description: 'Station name or code to search' }
+    },
+    required: ['query']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      source: { type: 'string', enum: ['index', 'upstream'] },
+      count: { type: 'integer' },
+      stations: { type: 'array', items: stationSchema }
+    },
+    required: ['query', 'source', 'count', 'stations']
+  },
+
+  // Answered from the local station index; only unknown names fall back to the upstream search
+  async handler({ query }) {
+    let stations = searchStations(query).map(({ score, ...station }) => station);
+    let source = 'index';
+    if (stations.length === 0) {
+      const response = await searchStation(query);
+      stations = normalizeStations(response.data);
+      source = 'upstream';
+    }
+    return toolResult(
+      `Found ${stations.length} stations matching '${query}'${stations.length > 0 ? `: ${stations.slice(0, 5).map(station => `${station.code} (${station.name})`).join(', ')}` : ''}`,
+      { query, source, count: stations.length, stations }
+    );
+  }
+};
@@ -0,0 +1,45 @@
+import { getTrainsBetweenStations } from '../irctcService.js';
+import { normalizeTrains, trainSchema, unresolvedStationsSchema } from '../models.js';
+import { toolResult, resolveStationArgs, stationChoices, STATION_CODE_OR_NAME, TRAVEL_DATE } from './shared.js';
+
+export default {
+  name: 'search_trains',
+  description: 'Search for trains between two stations. Station names are resolved to codes; ambiguous names return candidate stations instead of trains',
+  scope: 'trains:read',
+  annotations: { title: 'Search trains', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      from: { ...STATION_CODE_OR_NAME, description: 'Source station code or name' },
+      to: { ...STATION_CODE_OR_NAME, description: 'Destination station code or name' },
+      date: { ...TRAVEL_DATE, description: 'Travel date (YYYY-MM-DD), today or later' }
+    },
+    required: ['from', 'to']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      date: { type: ['string', 'null'] },
+      count: { type: 'integer' },
+      trains: { type: 'array', items: trainSchema },
+      unresolved: unresolvedStationsSchema
+    },
+    required: ['from', 'to', 'count', 'trains']
+  },
+
+  async handler({ from, to, date }) {
+    const { codes, unresolved } = resolveStationArgs({ from, to }, ['from', 'to']);
+    if (unresolved) {
+      return stationChoices('search_trains', unresolved, { from, to, date: date || null, count: 0, trains: [] });
+    }
+
+    const response = await getTrainsBetweenStations(codes.from, codes.to, date);
+    const trains = normalizeTrains(response.data);
+    return toolResult(
+      `Found ${trains.length} trains from ${codes.from} to ${codes.to}${date ? ` on ${date}` : ''}`,
+      { from: codes.from, to: codes.to, date: date || null, count: trains.length, trains }
+    );
+  }
+};
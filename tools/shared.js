@@ -0,0 +1,55 @@
+import { resolveStation } from '../stations.js';
+import { INVALID_PARAMS } from '../errors.js';
+
+// Helpers shared by the tool modules in this directory
+
+// Tool results carry the normalized payload as `structuredContent`, and repeat it
+// as serialized JSON in a second text block for clients that predate structured output
+export const toolResult = (summary, structuredContent) => ({
+  content: [
+    { type: 'text', text: summary },
+    { type: 'text', text: JSON.stringify(structuredContent) }
+  ],
+  structuredContent
+});
+
+// Argument formats shared by the tool input schemas
+export const STATION_CODE_OR_NAME = { type: 'string', minLength: 1, maxLength: 50, pattern: "^[A-Za-z][A-Za-z .'()-]*$" };
+export const TRAIN_NUMBER = { type: 'string', pattern: '^\\d{5}$' };
+export const PNR_NUMBER = { type: 'string', pattern: '^\\d{10}$' };
+export const TRAVEL_DATE = { type: 'string', format: 'date', formatMinimum: 'today' };
+
+// INVALID_PARAMS error listing each failing field in `data.errors`
+export const invalidArguments = (tool, errors) => {
+  const error = new Error(`Invalid arguments for tool '${tool}': ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`);
+  error.code = INVALID_PARAMS;
+  error.data = { tool, errors };
+  return error;
+};
+
+// Resolve station code-or-name arguments; anything ambiguous or unknown is reported back
+// with its candidates instead of guessing
+export const resolveStationArgs = (args, fields) => {
+  const codes = {};
+  const unresolved = {};
+  fields.forEach(field => {
+    const resolution = resolveStation(args[field]);
+    if (resolution.status === 'resolved') {
+      codes[field] = resolution.station.code;
+    } else {
+      unresolved[field] = { input: args[field], status: resolution.status, candidates: resolution.candidates };
+    }
+  });
+  return { codes, unresolved: Object.keys(unresolved).length > 0 ? unresolved : null };
+};
+
+// The result for a call whose stations could not be resolved: the candidates, and no data
+export const stationChoices = (toolName, unresolved, structuredContent) => {
+  const lines = Object.values(unresolved).map(({ input, status, candidates }) => (status === 'ambiguous'
+    ? `'${input}' ${candidates.length > 1 ? 'matches several stations' : 'may be'}: ${candidates.map(station => `${station.code} (${station.name})`).join(', ')}`
+    : `No station found for '${input}'`));
+  return toolResult(
+    `${lines.join('. ')}. Call ${toolName} again with station codes (search_stations can look them up).`,
+    { ...structuredContent, unresolved }
+  );
+};
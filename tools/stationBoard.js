@@ -0,0 +1,92 @@
+import { getStationBoard, BOARD_HOURS, BOARD_SHOW } from '../stationBoard.js';
+import { unresolvedStationsSchema } from '../models.js';
+import { toolResult, resolveStationArgs, stationChoices, STATION_CODE_OR_NAME } from './shared.js';
+
+const nullable = (type) => ({ type: [type, 'null'] });
+const stationRef = { type: 'object', properties: { code: nullable('string'), name: nullable('string') } };
+
+const describeTrain = (train) => {
+  const late = train.delayMinutes > 0 ? `, ${train.delayMinutes} min late` : '';
+  const platform = train.platform ? `, PF ${train.platform}` : '';
+  const destination = train.terminates ? 'terminates' : `to ${train.to.code || train.to.name || '?'}`;
+  return `${train.due || '--:--'} ${train.trainNo} ${destination}${platform}${late}`;
+};
+
+export default {
+  name: 'station_board',
+  description: 'Live arrivals and departures at a station in the next few hours, with platform and delay where known. Filter by destination, train type (RAJ, SHT, SF, ...) or arrivals/departures',
+  scope: 'trains:read',
+  annotations: { title: 'Live station board', readOnlyHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      station: { ...STATION_CODE_OR_NAME, description: 'Station code or name' },
+      hours: { type: 'integer', enum: BOARD_HOURS, description: 'How far ahead to look, defaults to 4 hours' },
+      to: { ...STATION_CODE_OR_NAME, description: 'Only trains heading to this station (code or name)' },
+      trainTypes: {
+        type: 'array',
+        items: { type: 'string', pattern: '^[A-Za-z]{2,6}$' },
+        minItems: 1,
+        maxItems: 10,
+        description: 'Only trains of these types as IRCTC codes them, e.g. RAJ, SHT, DRNT, SF, MEX, PASS'
+      },
+      show: { type: 'string', enum: BOARD_SHOW, description: 'departures, arrivals or all (default)' }
+    },
+    required: ['station']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      station: { type: 'string' },
+      hours: { type: 'integer' },
+      to: nullable('string'),
+      show: { type: 'string' },
+      trainTypes: { type: ['array', 'null'], items: { type: 'string' } },
+      listed: { type: 'integer', description: 'Trains upstream listed before the type and arrivals/departures filters' },
+      count: { type: 'integer' },
+      trains: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            trainNo: { type: 'string' },
+            trainName: nullable('string'),
+            type: nullable('string'),
+            from: stationRef,
+            to: stationRef,
+            scheduledArrival: nullable('string'),
+            scheduledDeparture: nullable('string'),
+            expectedArrival: nullable('string'),
+            expectedDeparture: nullable('string'),
+            event: { type: 'string', enum: ['departure', 'arrival'], description: 'What `due` refers to: arrival only for trains that terminate here' },
+            due: { ...nullable('string'), description: 'HH:MM (IST), live where known' },
+            dueAt: { ...nullable('string'), description: 'YYYY-MM-DDTHH:MM (IST)' },
+            dueInMinutes: nullable('integer'),
+            delayMinutes: nullable('integer'),
+            platform: nullable('string'),
+            originates: { type: 'boolean' },
+            terminates: { type: 'boolean' }
+          },
+          required: ['trainNo', 'event', 'due', 'delayMinutes', 'platform']
+        }
+      },
+      unresolved: unresolvedStationsSchema
+    },
+    required: ['station', 'hours', 'count', 'trains']
+  },
+
+  async handler({ station, hours = 4, to, trainTypes, show = 'all' }) {
+    const fields = to ? ['station', 'to'] : ['station'];
+    const { codes, unresolved } = resolveStationArgs({ station, to }, fields);
+    if (unresolved) {
+      return stationChoices('station_board', unresolved, { station, hours, to: to || null, show, count: 0, trains: [] });
+    }
+
+    const { data: board } = await getStationBoard({ station: codes.station, hours, to: codes.to, trainTypes, show });
+    const shown = board.trains.slice(0, 5).map(describeTrain).join('; ');
+    return toolResult(
+      `${board.count} trains at ${codes.station} in the next ${hours} hours${codes.to ? ` heading to ${codes.to}` : ''}${shown ? `: ${shown}${board.count > 5 ? '; ...' : ''}` : ''}`,
+      board
+    );
+  }
+};
@@ -0,0 +1,29 @@
+import { unwatchPnr } from '../pnrWatch.js';
+import { toolResult, PNR_NUMBER } from './shared.js';
+
+export default {
+  name: 'unwatch_pnr',
+  description: 'Stop watching a PNR',
+  scope: 'pnr:watch',
+  annotations: { title: 'Stop watching a PNR', readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pnr: { ...PNR_NUMBER, description: '10-digit PNR number' }
+    },
+    required: ['pnr']
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      pnr: { type: 'string' },
+      removed: { type: 'boolean' }
+    },
+    required: ['pnr', 'removed']
+  },
+
+  async handler({ pnr }, context = {}) {
+    const result = await unwatchPnr(pnr, context.auth?.clientId || 'anonymous');
+    return toolResult(result.removed ? `Stopped watching PNR ${pnr}` : `PNR ${pnr} was not being watched`, result);
+  }
+};
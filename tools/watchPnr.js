@@ -0,0 +1,40 @@
+import { watchPnr, addListener, pnrWatchSchema } from '../pnrWatch.js';
+import { pnrStatusSchema } from '../models.js';
+import { toolResult, PNR_NUMBER } from './shared.js';
+
+export default {
+  name: 'watch_pnr',
+  description: 'Watch a PNR and get notified when its status changes (waitlist movement, confirmation, berth assignment, chart preparation)',
+  scope: 'pnr:watch',
+  annotations: { title: 'Watch a PNR', readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pnr: { ...PNR_NUMBER, description: '10-digit PNR number' }
+    },
+    required: ['pnr']
+  },
+  outputSchema: {
+    ...pnrWatchSchema,
+    properties: {
+      ...pnrWatchSchema.properties,
+      status: pnrStatusSchema,
+      webhook: { type: 'boolean', description: 'Whether changes are also posted to the configured webhook' }
+    }
+  },
+
+  // Watches belong to the caller's client id; change notifications go to the
+  // connection that asked, while the watch itself persists across sessions.
+  // The server drops a session's listeners when the session closes.
+  async handler({ pnr }, context = {}) {
+    const watch = await watchPnr(pnr, context.auth?.clientId || 'anonymous');
+    const connection = context.session || context.notify;
+    if (connection) {
+      addListener(pnr, connection, context.session ? context.session.notify.bind(context.session) : context.notify);
+    }
+    return toolResult(
+      `Watching PNR ${pnr} (${watch.summary}). Next check at ${watch.nextCheckAt}${connection ? '; changes will be sent as notifications' : ''}${watch.webhook ? ' and posted to the webhook' : ''}`,
+      watch
+    );
+  }
+};
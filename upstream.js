@@ -0,0 +1,168 @@
+import http from 'http';
+import https from 'https';
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { config } from './config.js';
+import { createError } from './errors.js';
+import { getLogger } from './logger.js';
+
+const log = getLogger('upstream');
+
+// Pluggable transport for IRCTC API calls.
+// A provider has a `name` and `request({ path, params, signal })`, which resolves to
+// `{ statusCode, body, headers? }` with the raw response body as a string, and should
+// give up when the optional AbortSignal fires. Providers that do not spend RapidAPI
+// quota set `metered: false` to bypass the rate limiter.
+
+// Configuration
+const IRCTC_MODE = config.irctcMode;
+const IRCTC_BASE_URL = config.irctcBaseUrl;
+const IRCTC_FIXTURES_DIR = config.irctcFixturesDir;
+const RAPIDAPI_KEY = config.rapidApiKey;
+const RAPIDAPI_HOST = 'irctc1.p.rapidapi.com';
+const REQUEST_TIMEOUT = 10000; // 10 seconds
+
+const toQueryString = (params = {}) => new URLSearchParams(params).toString();
+
+// Live HTTP(S) provider; the base URL can point at a local stand-in server
+export const createHttpProvider = ({ baseUrl = IRCTC_BASE_URL, apiKey = RAPIDAPI_KEY, timeout = REQUEST_TIMEOUT } = {}) => {
+    const base = new URL(baseUrl);
+    const client = base.protocol === 'http:' ? http : https;
+    const basePath = base.pathname.replace(/\/$/, '');
+
+    return {
+        name: 'http',
+        request({ path: requestPath, params, signal }) {
+            // Checked per request so replay mode works without a key
+            if (!apiKey) {
+                return Promise.reject(createError('CONFIGURATION_ERROR', 'RAPIDAPI_KEY is not set; live IRCTC requests need a RapidAPI key'));
+            }
+            return new Promise((resolve, reject) => {
+                const queryString = toQueryString(params);
+                const options = {
+                    method: 'GET',
+                    protocol: base.protocol,
+                    hostname: base.hostname,
+                    port: base.port || undefined,
+                    path: `${basePath}${requestPath}${queryString ? `?${queryString}` : ''}`,
+                    headers: {
+                        'x-rapidapi-key': apiKey,
+                        'x-rapidapi-host': RAPIDAPI_HOST,
+                        'Accept': 'application/json'
+                    },
+                    timeout,
+                    // Aborting destroys the request; the caller turns the error into a cancellation
+                    signal
+                };
+
+                const timeoutError = () => createError('UPSTREAM_TIMEOUT', `Request timed out after ${timeout}ms`);
+
+                const requestTimer = setTimeout(() => {
+                    req.destroy(timeoutError());
+                }, timeout);
+
+                const req = client.request(options, (res) => {
+                    const chunks = [];
+                    res.on('data', (chunk) => chunks.push(chunk));
+                    res.on('end', () => {
+                        clearTimeout(requestTimer);
+                        resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+                    });
+                });
+
+                req.on('error', (error) => {
+                    clearTimeout(requestTimer);
+                    reject(error);
+                });
+
+                req.on('timeout', () => {
+                    req.destroy(timeoutError());
+                });
+
+                req.end();
+            });
+        }
+    };
+};
+
+// Fixture file for a request: <dir>/<endpoint>/<sorted params>.json
+export const fixturePath = (dir, requestPath, params = {}) => {
+    const endpoint = requestPath.replace(/^\/+/, '').replace(/[^A-Za-z0-9._-]+/g, '_');
+    let name = Object.keys(params).sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&')
+        .replace(/[^A-Za-z0-9=&._-]+/g, '_') || 'default';
+    if (name.length > 100) {
+        name = createHash('sha1').update(name).digest('hex');
+    }
+    return path.join(dir, endpoint, `${name}.json`);
+};
+
+// Wraps another provider and saves every response it returns as a fixture
+export const createRecordingProvider = (inner, dir = IRCTC_FIXTURES_DIR) => ({
+    name: `record(${inner.name})`,
+    async request({ path: requestPath, params, signal }) {
+        const response = await inner.request({ path: requestPath, params, signal });
+        const file = fixturePath(dir, requestPath, params);
+
+        let body = response.body;
+        try {
+            body = JSON.parse(response.body);
+        } catch (error) {
+            // Keep non-JSON bodies verbatim
+        }
+
+        // Only the request and response are stored; headers (and the API key) never are
+        const fixture = { request: { path: requestPath, params }, response: { statusCode: response.statusCode, body } };
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+        log.info('Recorded fixture', { file });
+
+        return response;
+    }
+});
+
+// Serves recorded fixtures; never touches the network
+export const createReplayProvider = (dir = IRCTC_FIXTURES_DIR) => ({
+    name: 'replay',
+    metered: false,
+    async request({ path: requestPath, params }) {
+        const file = fixturePath(dir, requestPath, params);
+        let fixture;
+        try {
+            fixture = JSON.parse(await readFile(file, 'utf8'));
+        } catch (error) {
+            const missing = new Error(`No fixture for ${requestPath}?${toQueryString(params)} (expected ${file})`);
+            missing.code = error.code === 'ENOENT' ? 'FIXTURE_NOT_FOUND' : 'INVALID_FIXTURE';
+            throw missing;
+        }
+        const { statusCode, body } = fixture.response;
+        return { statusCode, body: typeof body === 'string' ? body : JSON.stringify(body) };
+    }
+});
+
+const createProvider = (mode) => {
+    switch (mode) {
+        case 'live':
+            return createHttpProvider();
+        case 'record':
+            return createRecordingProvider(createHttpProvider());
+        case 'replay':
+            return createReplayProvider();
+        default:
+            throw new Error(`Unknown IRCTC_MODE: ${mode} (expected live, record or replay)`);
+    }
+};
+
+let provider = createProvider(IRCTC_MODE);
+
+export const getProvider = () => provider;
+
+// Swap the provider at runtime, e.g. to replay fixtures from a test
+export const setProvider = (nextProvider) => {
+    if (!nextProvider || typeof nextProvider.request !== 'function') {
+        throw new Error('Upstream provider must have a request() function');
+    }
+    provider = nextProvider;
+};